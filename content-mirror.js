@@ -0,0 +1,174 @@
+// Live copy of a DOM subtree. The clone fallback can't filter what is
+// behind the glass, so it filters a copy of the content placed inside the
+// glass instead. createContentMirror() deep-clones `source` into
+// `container` and keeps the copy in sync:
+// - a MutationObserver replays child list, attribute and text changes
+// - scroll offsets and form state (value, checked, selected), which
+//   mutations don't report, are copied on scroll, input and change events
+// Values set from script without an event need an explicit sync().
+//
+// The copy drops `id` and `name` attributes so it doesn't collide with the
+// source (radio groups, getElementById), and is inert and hidden from
+// assistive technology.
+
+const OMITTED_ATTRIBUTES = ["id", "name"];
+
+// Form state the events below report and cloneNode() doesn't always copy
+function copyFormState(node, copy) {
+  if (node instanceof HTMLInputElement) {
+    copy.value = node.value;
+    copy.checked = node.checked;
+  } else if (node instanceof HTMLTextAreaElement) {
+    copy.value = node.value;
+  } else if (node instanceof HTMLOptionElement) {
+    copy.selected = node.selected;
+  }
+}
+
+function copyScroll(node, copy) {
+  if (node.scrollTop !== copy.scrollTop) copy.scrollTop = node.scrollTop;
+  if (node.scrollLeft !== copy.scrollLeft) copy.scrollLeft = node.scrollLeft;
+}
+
+export function createContentMirror(source, container) {
+  // Source node -> its copy
+  const copies = new WeakMap();
+  let root = null;
+
+  // Deep copy of `node`, registering every node of the subtree. Returns
+  // the copy; scroll offsets are restored once it is attached.
+  function copyTree(node) {
+    const copy = node.cloneNode(false);
+    copies.set(node, copy);
+    if (copy instanceof Element) {
+      OMITTED_ATTRIBUTES.forEach((name) => copy.removeAttribute(name));
+    }
+    node.childNodes.forEach((child) => copy.appendChild(copyTree(child)));
+    copyFormState(node, copy);
+    return copy;
+  }
+
+  function syncState(node) {
+    const copy = copies.get(node);
+    if (!copy) return;
+    copyFormState(node, copy);
+    if (node instanceof Element) {
+      copyScroll(node, copy);
+      [...node.children].forEach(syncState);
+    }
+  }
+
+  // Rebuild the whole copy
+  function sync() {
+    root?.remove();
+    root = copyTree(source);
+    root.setAttribute("aria-hidden", "true");
+    root.inert = true;
+    container.appendChild(root);
+    syncState(source);
+  }
+
+  function applyMutation(record) {
+    const target = copies.get(record.target);
+    if (!target) return false;
+
+    if (record.type === "characterData") {
+      target.data = record.target.data;
+    } else if (record.type === "attributes") {
+      const name = record.attributeName;
+      if (OMITTED_ATTRIBUTES.includes(name)) return true;
+      const value = record.target.getAttribute(name);
+      if (value === null) target.removeAttribute(name);
+      else target.setAttribute(name, value);
+    } else {
+      record.removedNodes.forEach((node) => {
+        if (node.parentNode === record.target) return;
+        copies.get(node)?.remove();
+        copies.delete(node);
+      });
+      // Put the copies of the current children in source order, copying
+      // new ones. Whatever is left after them is stale.
+      let position = target.firstChild;
+      record.target.childNodes.forEach((child) => {
+        const existing = copies.get(child);
+        if (existing === position) {
+          position = position.nextSibling;
+          return;
+        }
+        target.insertBefore(existing ?? copyTree(child), position);
+        if (!existing) syncState(child);
+      });
+      while (position) {
+        const stale = position;
+        position = position.nextSibling;
+        stale.remove();
+      }
+    }
+    return true;
+  }
+
+  const observer = new MutationObserver((records) => {
+    // Fall back to a full copy if a record can't be matched
+    if (!records.every(applyMutation)) sync();
+  });
+  observer.observe(source, {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    characterData: true,
+  });
+
+  // Scroll doesn't bubble, so listen in the capture phase
+  const onScroll = (e) => {
+    const copy = copies.get(e.target);
+    if (copy) copyScroll(e.target, copy);
+  };
+  const onInput = (e) => {
+    syncState(e.target);
+    // Selecting a radio unchecks the others in its group
+    if (e.target.type === "radio") syncState(source);
+  };
+  source.addEventListener("scroll", onScroll, true);
+  source.addEventListener("input", onInput, true);
+  source.addEventListener("change", onInput, true);
+
+  sync();
+
+  return {
+    get root() {
+      return root;
+    },
+    sync,
+    destroy() {
+      observer.disconnect();
+      source.removeEventListener("scroll", onScroll, true);
+      source.removeEventListener("input", onInput, true);
+      source.removeEventListener("change", onInput, true);
+      root?.remove();
+      root = null;
+    },
+  };
+}
+
+// Offset of `element`'s padding box from `backdrop`'s border box, as seen
+// on screen: the translation that lines a copy of `backdrop`, placed at
+// the element's top left corner, up with the real one. Being measured,
+// it holds whatever scrolls in between and for fixed or sticky elements.
+// Transforms on `element` are assumed to keep its centre (scale, rotate)
+// or to move it as a whole (translate).
+export function getBackdropOffset(element, backdrop) {
+  const rect = element.getBoundingClientRect();
+  const backdropRect = backdrop.getBoundingClientRect();
+  return {
+    x:
+      rect.left +
+      (rect.width - element.offsetWidth) / 2 +
+      element.clientLeft -
+      backdropRect.left,
+    y:
+      rect.top +
+      (rect.height - element.offsetHeight) / 2 +
+      element.clientTop -
+      backdropRect.top,
+  };
+}
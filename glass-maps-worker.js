@@ -0,0 +1,76 @@
+// Module worker rendering glass maps off the main thread. Results carry
+// PNG data URLs, ready to use as feImage hrefs, plus the raw buffers
+// (transferred, not copied). Only the latest request of each glass is
+// rendered: older ones still waiting are dropped.
+import { renderGlassMaps } from "./glass-maps.js";
+
+const pendingRequests = new Map();
+let isProcessing = false;
+
+self.addEventListener("message", ({ data }) => {
+  pendingRequests.set(data.glassId, data);
+  if (!isProcessing) processRequests();
+});
+
+// A request that fails is answered with its error, so the glass can
+// render it on the main thread instead
+async function processRequests() {
+  isProcessing = true;
+  try {
+    while (pendingRequests.size) {
+      // Yield first so requests that arrived meanwhile can replace stale ones
+      await new Promise((resolve) => setTimeout(resolve));
+      const [glassId, request] = pendingRequests.entries().next().value;
+      pendingRequests.delete(glassId);
+      try {
+        await processRequest(glassId, request);
+      } catch (error) {
+        self.postMessage({
+          glassId,
+          requestId: request.requestId,
+          error: error.message,
+        });
+      }
+    }
+  } finally {
+    isProcessing = false;
+  }
+}
+
+async function processRequest(glassId, request) {
+  const { displacementMaps, preciseDisplacementMaps, specular } =
+    renderGlassMaps(request);
+  const buffers = [...Object.values(displacementMaps), specular];
+  // 16-bit maps are only transferred: they don't survive PNG encoding
+  const preciseBuffers = Object.values(preciseDisplacementMaps ?? {});
+  const urls = await Promise.all(buffers.map(encodeDataURL));
+  self.postMessage(
+    {
+      glassId,
+      requestId: request.requestId,
+      displacementMaps,
+      preciseDisplacementMaps,
+      specular,
+      urls: {
+        displacementMaps: Object.fromEntries(
+          Object.keys(displacementMaps).map((channel, i) => [channel, urls[i]]),
+        ),
+        specular: urls.at(-1),
+      },
+    },
+    [...buffers, ...preciseBuffers].map(({ data }) => data.buffer),
+  );
+}
+
+async function encodeDataURL(buffer) {
+  const canvas = new OffscreenCanvas(buffer.width, buffer.height);
+  canvas
+    .getContext("2d")
+    .putImageData(
+      new ImageData(buffer.data, buffer.width, buffer.height),
+      0,
+      0,
+    );
+  const blob = await canvas.convertToBlob();
+  return new FileReaderSync().readAsDataURL(blob);
+}
@@ -0,0 +1,155 @@
+// DOM-free glass map generation shared by liquid-glass.js and
+// glass-maps-worker.js. Requests are plain objects so they can be posted
+// to the worker: surface functions are sampled into 1D profiles up front,
+// and the shape is rebuilt from its options on the other side.
+import {
+  calculateDispersiveIndices,
+  calculateDisplacementMap1D,
+  calculateDisplacementMap2D,
+  calculateSpecularHighlight,
+  calculateSurfaceSlopes,
+  reduceDisplacementPrecision,
+} from "./glass-math.js";
+import { createShape } from "./glass-shapes.js";
+
+// createShape() options for a createLiquidGlass config
+export function getShapeOptions(config) {
+  return {
+    type: config.shape,
+    width: config.width,
+    height: config.height,
+    radius: config.radius,
+    exponent: config.superellipseExponent,
+    path: config.path,
+    deformation: config.deformation,
+  };
+}
+
+// Maps are rendered at `mapScale` of the glass size and stretched back by
+// feImage, trading edge detail for speed on large glass
+export function getMapShapeOptions(config) {
+  const scale = config.mapScale ?? 1;
+  return {
+    ...getShapeOptions(config),
+    width: Math.max(1, Math.round(config.width * scale)),
+    height: Math.max(1, Math.round(config.height * scale)),
+    radius: config.radius * scale,
+  };
+}
+
+export function getMapBezelWidth(config) {
+  return config.bezelWidth * (config.mapScale ?? 1);
+}
+
+// Lights of a config: `lights` when set, otherwise one white light at
+// `specularAngle`
+export function getLights(config) {
+  return config.lights ?? [{ angle: config.specularAngle }];
+}
+
+// Lighting for calculateSpecularHighlight(). Blinn-Phong needs the slope
+// of the surface, sampled here like the displacement profiles.
+export function getSpecularOptions(config, surfaceFn) {
+  const isBlinnPhong = config.specularModel === "blinn_phong";
+  return {
+    lights: getLights(config),
+    model: config.specularModel,
+    shininess: config.shininess,
+    surfaceSlopes: isBlinnPhong ? calculateSurfaceSlopes(surfaceFn) : null,
+  };
+}
+
+// Cache key for the maps of a createLiquidGlass config. `surfaceId`
+// identifies the surface function, which the config only names. The
+// profiles use the full-size bezel, so scaled maps of different glass can
+// share a shape but not the displacement.
+export function getMapsKey(config, surfaceId) {
+  return JSON.stringify([
+    surfaceId,
+    getMapShapeOptions(config),
+    getMapBezelWidth(config),
+    config.bezelWidth,
+    config.mapScale ?? 1,
+    config.glassThickness,
+    config.refractiveIndex,
+    getLights(config),
+    config.specularModel,
+    config.specularModel === "blinn_phong" ? config.shininess : null,
+    config.dispersion ? [config.abbeNumber, config.dispersionStrength] : null,
+    config.displacementPrecision === 16,
+  ]);
+}
+
+// Displacement along the bezel for each colour channel ("green" only
+// without dispersion). All channels share one maximum displacement so
+// they stay comparable.
+export function calculateGlassProfiles(config, surfaceFn) {
+  const refractiveIndices = config.dispersion
+    ? calculateDispersiveIndices(
+        config.refractiveIndex,
+        config.abbeNumber,
+        config.dispersionStrength,
+      )
+    : { green: config.refractiveIndex };
+
+  const profiles = Object.fromEntries(
+    Object.entries(refractiveIndices).map(([channel, refractiveIndex]) => [
+      channel,
+      calculateDisplacementMap1D(
+        config.glassThickness,
+        config.bezelWidth,
+        surfaceFn,
+        refractiveIndex,
+      ),
+    ]),
+  );
+  const maximumDisplacement = Math.max(
+    ...Object.values(profiles).flatMap((profile) => profile.map(Math.abs)),
+  );
+  return { profiles, maximumDisplacement };
+}
+
+// Render the 2D maps for a request built from getMapShapeOptions(),
+// getSpecularOptions() and calculateGlassProfiles(). With `precision` 16
+// the 16-bit displacement maps come as `preciseDisplacementMaps`, next to
+// the 8-bit ones the SVG filter uses.
+export function renderGlassMaps({
+  shape: shapeOptions,
+  bezelWidth,
+  specular: specularOptions,
+  profiles,
+  maximumDisplacement,
+  precision = 8,
+}) {
+  const shape = createShape(shapeOptions);
+  const maps = Object.fromEntries(
+    Object.entries(profiles).map(([channel, profile]) => [
+      channel,
+      calculateDisplacementMap2D(
+        shape.width,
+        shape.height,
+        shape,
+        bezelWidth,
+        maximumDisplacement || 1,
+        profile,
+        precision,
+      ),
+    ]),
+  );
+  const preciseDisplacementMaps = precision === 16 ? maps : null;
+  const displacementMaps = preciseDisplacementMaps
+    ? Object.fromEntries(
+        Object.entries(maps).map(([channel, map]) => [
+          channel,
+          reduceDisplacementPrecision(map),
+        ]),
+      )
+    : maps;
+  const specular = calculateSpecularHighlight(
+    shape,
+    bezelWidth,
+    specularOptions.lights,
+    specularOptions,
+  );
+  return { displacementMaps, preciseDisplacementMaps, specular };
+}
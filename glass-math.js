@@ -0,0 +1,760 @@
+// DOM-free math core: surface profiles, spring physics and map generation.
+// Maps are plain { width, height, data } buffers with RGBA bytes, so they
+// can be generated under Node, in a worker, or wrapped in an ImageData.
+
+// Surface equations - define the height profile of the glass bezel
+export const SurfaceEquations = {
+  convex_circle: (x) => Math.sqrt(1 - Math.pow(1 - x, 2)),
+  convex_squircle: (x) => Math.pow(1 - Math.pow(1 - x, 4), 1 / 4),
+  concave: (x) => 1 - Math.sqrt(1 - Math.pow(x, 2)),
+  lip: (x) => {
+    const convex = Math.pow(1 - Math.pow(1 - Math.min(x * 2, 1), 4), 1 / 4);
+    const concave = 1 - Math.sqrt(1 - Math.pow(1 - x, 2)) + 0.1;
+    const smootherstep =
+      6 * Math.pow(x, 5) - 15 * Math.pow(x, 4) + 10 * Math.pow(x, 3);
+    return convex * (1 - smootherstep) + concave * smootherstep;
+  },
+};
+
+// Surface from a cubic Bézier running from the outer edge (0, 0) to the
+// inner edge (1, 1), with control points given like CSS cubic-bezier().
+// Control point x values are clamped to [0, 1] so the curve stays a function.
+export function createBezierSurface([x1, y1, x2, y2]) {
+  const cx1 = Math.max(0, Math.min(1, x1));
+  const cx2 = Math.max(0, Math.min(1, x2));
+  const bezier = (t, p1, p2) =>
+    3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t;
+
+  return (x) => {
+    // x(t) is monotonic, so bisect for the parameter
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 32; i++) {
+      const mid = (low + high) / 2;
+      if (bezier(mid, cx1, cx2) < x) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return bezier((low + high) / 2, y1, y2);
+  };
+}
+
+const MATH_NAMES = Object.getOwnPropertyNames(Math);
+
+// Numbers, names, ** and single-character operators. Anything else in an
+// expression is an error.
+const EXPRESSION_TOKEN =
+  /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|(\*\*|[-+*/^(),]))/y;
+
+function tokenizeExpression(expression) {
+  const source = expression.trim();
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+  while (EXPRESSION_TOKEN.lastIndex < source.length) {
+    const position = EXPRESSION_TOKEN.lastIndex;
+    const match = EXPRESSION_TOKEN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected "${source.slice(position).trim()[0]}"`);
+    }
+    const [, number, name, operator] = match;
+    if (number !== undefined) tokens.push({ number: Number(number) });
+    else if (name !== undefined) tokens.push({ name });
+    else tokens.push({ operator: operator === "**" ? "^" : operator });
+  }
+  return tokens;
+}
+
+// Compile an expression of x into a function. Only numbers, x, the names
+// of Math (functions called with arguments, constants without), + - * /,
+// ^ or ** for powers and parentheses are accepted. Powers bind tighter
+// than a leading minus and group right to left, as in maths.
+function compileExpression(expression) {
+  const tokens = tokenizeExpression(expression);
+  let index = 0;
+  const peek = () => tokens[index]?.operator;
+  const expect = (operator) => {
+    if (peek() !== operator) {
+      throw new Error(
+        index < tokens.length
+          ? `Expected "${operator}"`
+          : "Unexpected end of expression",
+      );
+    }
+    index++;
+  };
+
+  function parseSum() {
+    let left = parseProduct();
+    while (peek() === "+" || peek() === "-") {
+      const operator = tokens[index++].operator;
+      const a = left;
+      const b = parseProduct();
+      left = operator === "+" ? (x) => a(x) + b(x) : (x) => a(x) - b(x);
+    }
+    return left;
+  }
+
+  function parseProduct() {
+    let left = parseUnary();
+    while (peek() === "*" || peek() === "/") {
+      const operator = tokens[index++].operator;
+      const a = left;
+      const b = parseUnary();
+      left = operator === "*" ? (x) => a(x) * b(x) : (x) => a(x) / b(x);
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (peek() === "-" || peek() === "+") {
+      const operator = tokens[index++].operator;
+      const a = parseUnary();
+      return operator === "-" ? (x) => -a(x) : a;
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() !== "^") return base;
+    index++;
+    const exponent = parseUnary();
+    return (x) => Math.pow(base(x), exponent(x));
+  }
+
+  function parsePrimary() {
+    const token = tokens[index++];
+    if (!token) throw new Error("Unexpected end of expression");
+    if (token.number !== undefined) return () => token.number;
+    if (token.operator === "(") {
+      const inner = parseSum();
+      expect(")");
+      return inner;
+    }
+    if (token.name === "x") return (x) => x;
+    if (token.name !== undefined && MATH_NAMES.includes(token.name)) {
+      const value = Math[token.name];
+      if (typeof value !== "function") {
+        if (peek() === "(") throw new Error(`${token.name} is not a function`);
+        return () => value;
+      }
+      expect("(");
+      const args = [];
+      if (peek() !== ")") {
+        args.push(parseSum());
+        while (peek() === ",") {
+          index++;
+          args.push(parseSum());
+        }
+      }
+      expect(")");
+      return (x) => value(...args.map((arg) => arg(x)));
+    }
+    if (token.name !== undefined)
+      throw new Error(`Unknown name "${token.name}"`);
+    throw new Error(`Unexpected "${token.operator}"`);
+  }
+
+  const evaluate = parseSum();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw new Error(
+      `Unexpected "${token.operator ?? token.name ?? token.number}"`,
+    );
+  }
+  return evaluate;
+}
+
+// Surface from a math expression of x, e.g. "sqrt(1 - (1 - x) ^ 2)".
+// Math functions and constants can be used without the Math. prefix; the
+// expression is parsed, never run as JavaScript (see compileExpression()).
+// Throws if the expression doesn't parse or isn't finite on [0, 1].
+export function createExpressionSurface(expression) {
+  let surfaceFn;
+  try {
+    surfaceFn = compileExpression(String(expression));
+  } catch (error) {
+    throw new Error(`Invalid expression: ${error.message}`);
+  }
+
+  for (let i = 0; i <= 16; i++) {
+    let y;
+    try {
+      y = surfaceFn(i / 16);
+    } catch (error) {
+      throw new Error(`Invalid expression: ${error.message}`);
+    }
+    if (typeof y !== "number" || !Number.isFinite(y)) {
+      throw new Error(`Expression is not a finite number at x = ${i / 16}`);
+    }
+  }
+  return surfaceFn;
+}
+
+// Simple spring physics class
+export class Spring {
+  constructor(value, stiffness = 300, damping = 20) {
+    this.value = value;
+    this.target = value;
+    this.velocity = 0;
+    this.stiffness = stiffness;
+    this.damping = damping;
+  }
+
+  setTarget(target) {
+    this.target = target;
+  }
+
+  update(dt) {
+    const force = (this.target - this.value) * this.stiffness;
+    const dampingForce = this.velocity * this.damping;
+    this.velocity += (force - dampingForce) * dt;
+    this.value += this.velocity * dt;
+    return this.value;
+  }
+
+  isSettled() {
+    return (
+      Math.abs(this.target - this.value) < 0.001 &&
+      Math.abs(this.velocity) < 0.001
+    );
+  }
+}
+
+// Plain RGBA pixel buffer, shaped like ImageData
+export function createImageBuffer(width, height) {
+  return {
+    width,
+    height,
+    data: new Uint8ClampedArray(width * height * 4),
+  };
+}
+
+// Refractive indices of common materials
+export const MaterialPresets = {
+  water: { label: "Water", refractiveIndex: 1.33, abbeNumber: 55.7 },
+  acrylic: { label: "Acrylic", refractiveIndex: 1.49, abbeNumber: 57.2 },
+  crown_glass: {
+    label: "Crown Glass",
+    refractiveIndex: 1.52,
+    abbeNumber: 58.6,
+  },
+  flint_glass: {
+    label: "Flint Glass",
+    refractiveIndex: 1.62,
+    abbeNumber: 36.4,
+  },
+  diamond: { label: "Diamond", refractiveIndex: 2.42, abbeNumber: 55.3 },
+};
+
+// Fraunhofer lines (nm) used for the red, green and blue channels.
+// The refractive index of a material is quoted at the d line.
+const FRAUNHOFER_LINES = { red: 656.3, green: 587.6, blue: 486.1 };
+
+// Per-channel refractive indices from an Abbe number, using Cauchy's
+// equation n(λ) = A + B / λ² fitted so that n(d) = refractiveIndex and
+// n(F) - n(C) = (refractiveIndex - 1) / abbeNumber.
+// `strength` exaggerates the spread, which is subtle in real glass.
+export function calculateDispersiveIndices(
+  refractiveIndex,
+  abbeNumber,
+  strength = 1,
+) {
+  const { red, green, blue } = FRAUNHOFER_LINES;
+  const spread = ((refractiveIndex - 1) / abbeNumber) * strength;
+  const b = spread / (1 / blue ** 2 - 1 / red ** 2);
+  const indexAt = (wavelength) =>
+    refractiveIndex + b * (1 / wavelength ** 2 - 1 / green ** 2);
+
+  return {
+    red: indexAt(red),
+    green: refractiveIndex,
+    blue: indexAt(blue),
+  };
+}
+
+// Refract a vertical ray entering the bezel at a point (0 = outer edge,
+// 1 = inner edge). Returns the refracted direction and surface height, or
+// null on total internal reflection.
+export function refractAtBezel(bezelRatio, surfaceFn, refractiveIndex) {
+  const eta = 1 / refractiveIndex;
+  const x = bezelRatio;
+  const y = surfaceFn(x);
+  const dx = x < 1 ? 0.0001 : -0.0001;
+  const y2 = surfaceFn(Math.max(0, Math.min(1, x + dx)));
+  const derivative = (y2 - y) / dx;
+  const magnitude = Math.sqrt(derivative * derivative + 1);
+  const normalX = -derivative / magnitude;
+  const normalY = -1 / magnitude;
+
+  const dot = normalY;
+  const k = 1 - eta * eta * (1 - dot * dot);
+  if (k < 0) return null;
+  const kSqrt = Math.sqrt(k);
+  return {
+    x: -(eta * dot + kSqrt) * normalX,
+    y: eta - (eta * dot + kSqrt) * normalY,
+    height: y,
+  };
+}
+
+// The ray refracted at a point of the bezel (see refractAtBezel()), or
+// null when it is lost to total internal reflection: either at the curved
+// surface, or where it meets the flat base beyond the critical angle
+// (asin(1 / n)). Shared by the displacement maps and
+// findTotalInternalReflection() so they agree.
+export function traceBezelRay(bezelRatio, surfaceFn, refractiveIndex) {
+  const refracted = refractAtBezel(bezelRatio, surfaceFn, refractiveIndex);
+  if (!refracted || refracted.y <= 0) return null;
+  const sinAngle =
+    Math.abs(refracted.x) / Math.sqrt(refracted.x ** 2 + refracted.y ** 2);
+  return refractiveIndex * sinAngle > 1 ? null : refracted;
+}
+
+// Displacement at a point of the bezel using Snell's Law.
+// Returns null on total internal reflection.
+export function calculateDisplacementAt(
+  bezelRatio,
+  glassThickness,
+  bezelWidth,
+  surfaceFn,
+  refractiveIndex,
+) {
+  const refracted = traceBezelRay(bezelRatio, surfaceFn, refractiveIndex);
+  if (!refracted) return null;
+
+  const remainingHeightOnBezel = refracted.height * bezelWidth;
+  const remainingHeight = remainingHeightOnBezel + glassThickness;
+  return refracted.x * (remainingHeight / refracted.y);
+}
+
+// Find the parts of the bezel where light is lost to total internal
+// reflection (see traceBezelRay()), sampled like
+// calculateDisplacementMap1D(), which leaves them undisplaced.
+// Returns ranges of bezel ratios as [{ start, end }].
+export function findTotalInternalReflection(
+  surfaceFn,
+  refractiveIndex,
+  samples = 128,
+) {
+  const ranges = [];
+  let current = null;
+
+  for (let i = 0; i < samples; i++) {
+    const bezelRatio = i / samples;
+    const isReflected = !traceBezelRay(bezelRatio, surfaceFn, refractiveIndex);
+
+    if (isReflected && !current) {
+      current = { start: bezelRatio, end: (i + 1) / samples };
+      ranges.push(current);
+    } else if (isReflected) {
+      current.end = (i + 1) / samples;
+    } else {
+      current = null;
+    }
+  }
+  return ranges;
+}
+
+// Calculate displacement along a single radius using Snell's Law
+export function calculateDisplacementMap1D(
+  glassThickness,
+  bezelWidth,
+  surfaceFn,
+  refractiveIndex,
+  samples = 128,
+) {
+  const result = [];
+  for (let i = 0; i < samples; i++) {
+    const displacement = calculateDisplacementAt(
+      i / samples,
+      glassThickness,
+      bezelWidth,
+      surfaceFn,
+      refractiveIndex,
+    );
+    result.push(displacement === null ? 0 : displacement);
+  }
+  return result;
+}
+
+// 16-bit displacement channel for a value on the 0-255 scale of the 8-bit
+// maps, so both decode (divided by their maximum) to the same fraction
+function encodeDisplacement16(value) {
+  return Math.max(0, Math.min(65535, Math.round(value * 257)));
+}
+
+// Calculate 2D displacement map for a shape from glass-shapes.js,
+// centred in the canvas. For symmetric shapes only the top-left quadrant
+// is computed and mirrored, negating X on the right and Y at the bottom.
+//
+// With `precision` 8, X and Y are in red and green, 128 meaning no
+// displacement, as feDisplacementMap reads them. Thick glass then moves
+// by whole steps of maximumDisplacement / 127 and bands. With 16 the high
+// bytes of X and Y are in red and green and the low bytes in blue and
+// alpha: only for decoders reading the raw buffer (see
+// readDisplacement()), as canvases and PNGs premultiply alpha.
+export function calculateDisplacementMap2D(
+  canvasWidth,
+  canvasHeight,
+  shape,
+  bezelWidth,
+  maximumDisplacement,
+  precomputedMap,
+  precision = 8,
+) {
+  const imageData = createImageBuffer(canvasWidth, canvasHeight);
+  const data = imageData.data;
+
+  let setDisplacement = (index, dX, dY) => {
+    data[index] = 128 + dX;
+    data[index + 1] = 128 + dY;
+  };
+  if (precision === 16) {
+    imageData.precision = 16;
+    setDisplacement = (index, dX, dY) => {
+      const x = encodeDisplacement16(128 + dX);
+      const y = encodeDisplacement16(128 + dY);
+      data[index] = x >> 8;
+      data[index + 1] = y >> 8;
+      data[index + 2] = x & 255;
+      data[index + 3] = y & 255;
+    };
+  }
+  for (let i = 0; i < data.length; i += 4) {
+    data[i + 2] = 0;
+    data[i + 3] = 255;
+    setDisplacement(i, 0, 0);
+  }
+
+  const objectWidth = shape.width;
+  const objectHeight = shape.height;
+  const objectX = Math.floor((canvasWidth - objectWidth) / 2);
+  const objectY = Math.floor((canvasHeight - objectHeight) / 2);
+  const columns = shape.symmetric ? Math.ceil(objectWidth / 2) : objectWidth;
+  const rows = shape.symmetric ? Math.ceil(objectHeight / 2) : objectHeight;
+  const scale = maximumDisplacement > 0 ? 127 / maximumDisplacement : 0;
+  const indexOf = (x, y) => ((objectY + y) * canvasWidth + objectX + x) * 4;
+
+  for (let y1 = 0; y1 < rows; y1++) {
+    for (let x1 = 0; x1 < columns; x1++) {
+      // Sampled at pixel centres so mirrored pixels match exactly
+      const x = x1 + 0.5;
+      const y = y1 + 0.5;
+      const distance = shape.sdf(x, y);
+
+      // Inside the bezel, plus one pixel of anti-aliasing outside
+      if (distance > 1 || distance < -bezelWidth) continue;
+
+      const opacity = distance > 0 ? 1 - distance : 1;
+      const [normalX, normalY] = shape.normal(x, y);
+      const bezelRatio = Math.max(0, Math.min(1, -distance / bezelWidth));
+      const bezelIndex = Math.floor(bezelRatio * precomputedMap.length);
+      const displacement =
+        precomputedMap[
+          Math.max(0, Math.min(bezelIndex, precomputedMap.length - 1))
+        ] || 0;
+      let dX = -normalX * displacement * scale * opacity;
+      let dY = -normalY * displacement * scale * opacity;
+      // Deformed shapes are stretched by a transform after filtering
+      if (shape.toLocal) [dX, dY] = shape.toLocal(dX, dY);
+
+      setDisplacement(indexOf(x1, y1), dX, dY);
+      if (!shape.symmetric) continue;
+
+      const mirroredX = objectWidth - 1 - x1;
+      const mirroredY = objectHeight - 1 - y1;
+      if (mirroredX !== x1) {
+        setDisplacement(indexOf(mirroredX, y1), -dX, dY);
+      }
+      if (mirroredY !== y1) {
+        setDisplacement(indexOf(x1, mirroredY), dX, -dY);
+      }
+      if (mirroredX !== x1 && mirroredY !== y1) {
+        setDisplacement(indexOf(mirroredX, mirroredY), -dX, -dY);
+      }
+    }
+  }
+  return imageData;
+}
+
+// Displacement of pixel `index` (x + y * width) of a map from
+// calculateDisplacementMap2D() as feDisplacementMap reads it: [x, y]
+// fractions where 0.5 is (almost, 128 / 255) no displacement
+export function readDisplacement(map, index) {
+  const { data } = map;
+  const i = index * 4;
+  if (map.precision === 16) {
+    return [
+      (data[i] * 256 + data[i + 2]) / 65535,
+      (data[i + 1] * 256 + data[i + 3]) / 65535,
+    ];
+  }
+  return [data[i] / 255, data[i + 1] / 255];
+}
+
+// The 8-bit map (for SVG filters) of a 16-bit one
+export function reduceDisplacementPrecision(map) {
+  const reduced = createImageBuffer(map.width, map.height);
+  const { data } = reduced;
+  for (let i = 0; i < data.length; i += 4) {
+    const [x, y] = readDisplacement(map, i / 4);
+    data[i] = x * 255;
+    data[i + 1] = y * 255;
+    data[i + 3] = 255;
+  }
+  return reduced;
+}
+
+// Apply a displacement map to an image buffer of the same size like
+// feDisplacementMap does, with `scale` in pixels, but sampling the source
+// bilinearly. Pixels displaced outside the source are transparent.
+export function displaceImage(source, map, scale) {
+  const { width, height } = source;
+  const result = createImageBuffer(width, height);
+  const sourceData = source.data;
+  const data = result.data;
+  const texel = (x, y, channel) => sourceData[(y * width + x) * 4 + channel];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const [mapX, mapY] = readDisplacement(map, index);
+      const sourceX = x + scale * (mapX - 0.5);
+      const sourceY = y + scale * (mapY - 0.5);
+      if (
+        sourceX < 0 ||
+        sourceY < 0 ||
+        sourceX > width - 1 ||
+        sourceY > height - 1
+      ) {
+        continue;
+      }
+      const x0 = Math.floor(sourceX);
+      const y0 = Math.floor(sourceY);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const y1 = Math.min(y0 + 1, height - 1);
+      const fx = sourceX - x0;
+      const fy = sourceY - y0;
+      for (let channel = 0; channel < 4; channel++) {
+        const top =
+          texel(x0, y0, channel) * (1 - fx) + texel(x1, y0, channel) * fx;
+        const bottom =
+          texel(x0, y1, channel) * (1 - fx) + texel(x1, y1, channel) * fx;
+        data[index * 4 + channel] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+  return result;
+}
+
+// Specular models: "rim" lights a thin rim by |normal · light| in 2D,
+// "blinn_phong" lights the whole bezel using the 3D surface normal of the
+// profile
+export const SpecularModels = ["rim", "blinn_phong"];
+
+// Slope of a surface profile along the bezel (0 = outer edge, 1 = inner
+// edge), sampled like calculateDisplacementMap1D
+export function calculateSurfaceSlopes(surfaceFn, samples = 128) {
+  const slopes = [];
+  for (let i = 0; i < samples; i++) {
+    const x = i / samples;
+    const x2 = Math.min(1, x + 0.0001);
+    slopes.push((surfaceFn(x2) - surfaceFn(x)) / (x2 - x));
+  }
+  return slopes;
+}
+
+function parseHexColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Values stored per pixel of a normal map
+const NORMAL_MAP_STRIDE = 7;
+
+// Precompute the lit band of a shape for shading with shadeNormalMap():
+// per pixel the outward 2D normal, the 3D surface normal (tilted by the
+// profile slope for Blinn-Phong), the rim falloff and the edge opacity.
+// Symmetric shapes compute one quadrant and mirror the normals.
+export function calculateNormalMap(
+  shape,
+  bezelWidth,
+  { model = "rim", surfaceSlopes = null } = {},
+) {
+  const objectWidth = shape.width;
+  const objectHeight = shape.height;
+  const isBlinnPhong = model === "blinn_phong" && surfaceSlopes !== null;
+  const specularThickness = isBlinnPhong ? bezelWidth : 1.5;
+  const columns = shape.symmetric ? Math.ceil(objectWidth / 2) : objectWidth;
+  const rows = shape.symmetric ? Math.ceil(objectHeight / 2) : objectHeight;
+  const indices = [];
+  const values = [];
+
+  function push(x1, y1, signX, signY, entry) {
+    indices.push(y1 * objectWidth + x1);
+    values.push(
+      signX * entry[0],
+      signY * entry[1],
+      signX * entry[2],
+      signY * entry[3],
+      entry[4],
+      entry[5],
+      entry[6],
+    );
+  }
+
+  for (let y1 = 0; y1 < rows; y1++) {
+    for (let x1 = 0; x1 < columns; x1++) {
+      const x = x1 + 0.5;
+      const y = y1 + 0.5;
+      const distance = shape.sdf(x, y);
+      if (distance > 1 || distance < -specularThickness) continue;
+
+      const opacity = distance > 0 ? 1 - distance : 1;
+      const [normalX, normalY] = shape.normal(x, y);
+      const edgeRatio = Math.max(0, Math.min(1, -distance / specularThickness));
+      const sharpFalloff = Math.sqrt(1 - (1 - edgeRatio) * (1 - edgeRatio));
+
+      // The surface rises inwards, so its normal tilts outwards
+      let surfaceX = 0;
+      let surfaceY = 0;
+      let surfaceZ = 1;
+      if (isBlinnPhong) {
+        const slope =
+          surfaceSlopes[
+            Math.min(
+              Math.floor(edgeRatio * surfaceSlopes.length),
+              surfaceSlopes.length - 1,
+            )
+          ];
+        const length = Math.sqrt(slope * slope + 1);
+        surfaceX = (slope * normalX) / length;
+        surfaceY = (slope * normalY) / length;
+        surfaceZ = 1 / length;
+      }
+
+      const entry = [
+        normalX,
+        normalY,
+        surfaceX,
+        surfaceY,
+        surfaceZ,
+        sharpFalloff,
+        opacity,
+      ];
+      push(x1, y1, 1, 1, entry);
+      if (!shape.symmetric) continue;
+
+      const mirroredX = objectWidth - 1 - x1;
+      const mirroredY = objectHeight - 1 - y1;
+      if (mirroredX !== x1) push(mirroredX, y1, -1, 1, entry);
+      if (mirroredY !== y1) push(x1, mirroredY, 1, -1, entry);
+      if (mirroredX !== x1 && mirroredY !== y1) {
+        push(mirroredX, mirroredY, -1, -1, entry);
+      }
+    }
+  }
+
+  return {
+    width: objectWidth,
+    height: objectHeight,
+    model: isBlinnPhong ? "blinn_phong" : "rim",
+    indices: Int32Array.from(indices),
+    values: Float32Array.from(values),
+  };
+}
+
+// Shade a normal map from one or more lights, given as
+// { angle, color: "#rrggbb", intensity, elevation } or just the angle of a
+// white light. Angles are measured with y pointing up; the elevation above
+// the glass is only used by Blinn-Phong. Only touches the lit pixels, so it
+// is cheap enough to run every frame.
+export function shadeNormalMap(normalMap, lights, { shininess = 40 } = {}) {
+  const imageData = createImageBuffer(normalMap.width, normalMap.height);
+  const data = imageData.data;
+  const { indices, values } = normalMap;
+  const isBlinnPhong = normalMap.model === "blinn_phong";
+
+  const resolvedLights = (
+    typeof lights === "number" ? [{ angle: lights }] : lights
+  ).map(
+    ({ angle, color = "#ffffff", intensity = 1, elevation = Math.PI / 6 }) => {
+      // Light direction in image space (y down, z towards the viewer)
+      const lightX = Math.cos(elevation) * Math.cos(angle);
+      const lightY = -Math.cos(elevation) * Math.sin(angle);
+      const lightZ = Math.sin(elevation) + 1;
+      const halfLength = Math.hypot(lightX, lightY, lightZ);
+      return {
+        color: parseHexColor(color),
+        intensity,
+        rimX: Math.cos(angle),
+        rimY: -Math.sin(angle),
+        // Half vector between the light and the viewer
+        halfX: lightX / halfLength,
+        halfY: lightY / halfLength,
+        halfZ: lightZ / halfLength,
+      };
+    },
+  );
+
+  for (let i = 0; i < indices.length; i++) {
+    const offset = i * NORMAL_MAP_STRIDE;
+    const normalX = values[offset];
+    const normalY = values[offset + 1];
+    const surfaceX = values[offset + 2];
+    const surfaceY = values[offset + 3];
+    const surfaceZ = values[offset + 4];
+    const sharpFalloff = values[offset + 5];
+    const opacity = values[offset + 6];
+
+    let red = 0;
+    let green = 0;
+    let blue = 0;
+    let alpha = 0;
+    resolvedLights.forEach((light) => {
+      const coefficient = isBlinnPhong
+        ? Math.pow(
+            Math.max(
+              0,
+              surfaceX * light.halfX +
+                surfaceY * light.halfY +
+                surfaceZ * light.halfZ,
+            ),
+            shininess,
+          ) * light.intensity
+        : Math.abs(normalX * light.rimX + normalY * light.rimY) *
+          sharpFalloff *
+          light.intensity;
+      red += light.color[0] * coefficient;
+      green += light.color[1] * coefficient;
+      blue += light.color[2] * coefficient;
+      alpha += 255 * coefficient * coefficient;
+    });
+
+    const idx = indices[i] * 4;
+    data[idx] = red;
+    data[idx + 1] = green;
+    data[idx + 2] = blue;
+    data[idx + 3] = Math.min(255, alpha) * opacity;
+  }
+  return imageData;
+}
+
+// Calculate specular highlight of a shape. "rim" lights a thin rim by
+// |normal · light| in 2D; "blinn_phong" lights the whole bezel and needs
+// the profile's `surfaceSlopes` from calculateSurfaceSlopes.
+export function calculateSpecularHighlight(
+  shape,
+  bezelWidth,
+  lights = Math.PI / 3,
+  options = {},
+) {
+  return shadeNormalMap(
+    calculateNormalMap(shape, bezelWidth, options),
+    lights,
+    options,
+  );
+}
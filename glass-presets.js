@@ -0,0 +1,243 @@
+// DOM-free glass presets: named parameter sets for the main glass and the
+// smaller demos. Presets are plain JSON with a version field so they can be
+// stored, exported to files and encoded in the URL hash:
+//   { version, name, main: {...}, slider: {...}, switch: {...},
+//     button: {...}, segmented: {...}, sheet: {...} }
+// Sections and keys are optional, missing ones keep their current value.
+
+import {
+  SpecularModels,
+  SurfaceEquations,
+  createExpressionSurface,
+} from "./glass-math.js";
+import { ShapeTypes } from "./glass-shapes.js";
+
+export const PRESET_VERSION = 1;
+
+// Glass size limits, shared with the resize handles
+export const MIN_GLASS_WIDTH = 60;
+export const MIN_GLASS_HEIGHT = 40;
+export const MAX_GLASS_SIZE = 2000;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isString = (value) => typeof value === "string";
+const isBoolean = (value) => typeof value === "boolean";
+const isOneOf = (values) => (value) => values.includes(value);
+const isColor = (value) => isString(value) && /^#[0-9a-f]{6}$/i.test(value);
+const isInRange = (min, max) => (value) =>
+  isNumber(value) && value >= min && value <= max;
+
+const isLight = (light) =>
+  light !== null &&
+  typeof light === "object" &&
+  isNumber(light.angle) &&
+  isColor(light.color) &&
+  (light.intensity === undefined || isInRange(0, Infinity)(light.intensity)) &&
+  (light.elevation === undefined || isInRange(0, Math.PI / 2)(light.elevation));
+
+// Presets come from links, files and storage: expressions must be ones
+// createExpressionSurface() parses (it never runs them as JavaScript)
+const isExpression = (expression) => {
+  if (!isString(expression)) return false;
+  try {
+    createExpressionSurface(expression);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isProfile = (profile) =>
+  profile !== null &&
+  typeof profile === "object" &&
+  (profile.mode === "bezier" || profile.mode === "expression") &&
+  Array.isArray(profile.points) &&
+  profile.points.length === 4 &&
+  profile.points.every(isNumber) &&
+  isExpression(profile.expression);
+
+const demoFields = {
+  specularOpacity: isInRange(0, 1),
+  specularSaturation: isInRange(0, 50),
+  refractionBase: isInRange(0, 1),
+  blur: isInRange(0, 40),
+};
+
+// Validators for every parameter a preset may set, by section. Numbers
+// must lie within the range of the matching control.
+export const PresetFields = {
+  main: {
+    surfaceType: (value) =>
+      value === "custom" ||
+      (isString(value) && Object.hasOwn(SurfaceEquations, value)),
+    customProfile: isProfile,
+    shape: isOneOf(ShapeTypes),
+    superellipseExponent: isInRange(1.5, 10),
+    path: isString,
+    objectWidth: isInRange(MIN_GLASS_WIDTH, MAX_GLASS_SIZE),
+    objectHeight: isInRange(MIN_GLASS_HEIGHT, MAX_GLASS_SIZE),
+    radius: isInRange(0, MAX_GLASS_SIZE / 2),
+    bezelWidth: isInRange(5, 70),
+    glassThickness: isInRange(10, 200),
+    refractiveIndex: (value) => isNumber(value) && value > 1 && value <= 2.5,
+    dispersion: isBoolean,
+    abbeNumber: isInRange(10, 90),
+    dispersionStrength: isInRange(0, 20),
+    refractionScale: isInRange(0, 1.5),
+    specularOpacity: isInRange(0, 1),
+    specularModel: isOneOf(SpecularModels),
+    shininess: isInRange(1, 200),
+    lights: (lights) =>
+      Array.isArray(lights) && lights.length > 0 && lights.every(isLight),
+    friction: isInRange(0.5, 10),
+    bounciness: isInRange(0, 1),
+    snapMode: isOneOf(["off", "corners", "content"]),
+    blur: isInRange(0, 10),
+  },
+  slider: demoFields,
+  switch: demoFields,
+  button: { ...demoFields, pulseStrength: isInRange(0, 2) },
+  segmented: demoFields,
+  sheet: {
+    specularOpacity: isInRange(0, 1),
+    refractionBase: isInRange(0, 1.5),
+    blur: isInRange(0, 40),
+    mapScale: isInRange(0.25, 1),
+  },
+};
+
+export const BuiltInPresets = {
+  subtle: {
+    version: PRESET_VERSION,
+    name: "Subtle",
+    main: {
+      surfaceType: "convex_squircle",
+      shape: "rounded_rect",
+      bezelWidth: 16,
+      glassThickness: 60,
+      refractiveIndex: 1.33,
+      dispersion: false,
+      refractionScale: 0.8,
+      specularOpacity: 0.4,
+      specularModel: "rim",
+      lights: [{ angle: Math.PI / 3, color: "#ffffff" }],
+      blur: 0.3,
+    },
+    slider: { specularOpacity: 0.3, refractionBase: 0.6, blur: 0 },
+    switch: { specularOpacity: 0.3, refractionBase: 0.6, blur: 0 },
+  },
+  magnifier: {
+    version: PRESET_VERSION,
+    name: "Magnifier",
+    main: {
+      surfaceType: "convex_circle",
+      shape: "circle",
+      objectWidth: 180,
+      objectHeight: 180,
+      bezelWidth: 70,
+      glassThickness: 200,
+      refractiveIndex: 1.52,
+      dispersion: false,
+      refractionScale: 1.5,
+      specularOpacity: 0.6,
+      specularModel: "blinn_phong",
+      shininess: 60,
+      lights: [{ angle: Math.PI / 3, color: "#ffffff" }],
+      blur: 0,
+    },
+  },
+  heavy_lip: {
+    version: PRESET_VERSION,
+    name: "Heavy Lip",
+    main: {
+      surfaceType: "lip",
+      shape: "rounded_rect",
+      bezelWidth: 45,
+      glassThickness: 200,
+      refractiveIndex: 1.62,
+      dispersion: true,
+      abbeNumber: 36.4,
+      dispersionStrength: 6,
+      refractionScale: 1.5,
+      specularOpacity: 1,
+      specularModel: "blinn_phong",
+      shininess: 30,
+      lights: [
+        { angle: Math.PI / 3, color: "#ffffff" },
+        { angle: (-2 * Math.PI) / 3, color: "#7ab8ff" },
+      ],
+      blur: 0.8,
+    },
+    slider: { specularOpacity: 0.6, refractionBase: 1, blur: 0.4 },
+    switch: { specularOpacity: 0.7, refractionBase: 1, blur: 0.4 },
+  },
+};
+
+// Deep copy through JSON, which also drops anything that isn't plain data
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// Preset from the current parameters, e.g.
+// createPreset("Mine", { main: state, slider: sliderState, ... }).
+// Only the keys listed in PresetFields are kept.
+export function createPreset(name, sources) {
+  const preset = { version: PRESET_VERSION, name };
+  Object.entries(PresetFields).forEach(([section, fields]) => {
+    const source = sources[section];
+    if (!source) return;
+    preset[section] = {};
+    Object.keys(fields).forEach((key) => {
+      if (source[key] !== undefined) preset[section][key] = copy(source[key]);
+    });
+  });
+  return preset;
+}
+
+// Validate a preset object or JSON string. Throws on unsupported
+// versions and invalid values, silently drops unknown keys.
+export function parsePreset(input) {
+  const value = isString(input) ? JSON.parse(input) : input;
+  if (value === null || typeof value !== "object") {
+    throw new Error("Preset must be an object");
+  }
+  if (value.version !== PRESET_VERSION) {
+    throw new Error(`Unsupported preset version: ${value.version}`);
+  }
+
+  const preset = {
+    version: PRESET_VERSION,
+    name: isString(value.name) ? value.name : "Untitled",
+  };
+  Object.entries(PresetFields).forEach(([section, fields]) => {
+    const source = value[section];
+    if (source === undefined) return;
+    if (source === null || typeof source !== "object") {
+      throw new Error(`Invalid preset section: ${section}`);
+    }
+    preset[section] = {};
+    Object.entries(fields).forEach(([key, isValid]) => {
+      if (source[key] === undefined) return;
+      if (!isValid(source[key])) {
+        throw new Error(`Invalid preset value: ${section}.${key}`);
+      }
+      preset[section][key] = copy(source[key]);
+    });
+  });
+  return preset;
+}
+
+// URL-safe base64 of the preset JSON, for location.hash
+export function encodePreset(preset) {
+  const bytes = new TextEncoder().encode(JSON.stringify(preset));
+  let binary = "";
+  bytes.forEach((byte) => (binary += String.fromCharCode(byte)));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+export function decodePreset(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return parsePreset(new TextDecoder().decode(bytes));
+}
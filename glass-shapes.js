@@ -0,0 +1,557 @@
+// DOM-free glass outlines described by signed distance fields.
+// Every shape fills a width x height box and provides:
+//   sdf(x, y)    - signed distance to the outline (negative inside)
+//   normal(x, y) - outward unit normal [nx, ny] of the nearest edge
+//   pathData     - SVG path data of the outline, for clip paths
+//   symmetric    - whether the outline mirrors across both centre lines,
+//                  so map generators only need to compute one quadrant
+// Deformed shapes (see deformShape()) also provide:
+//   toLocal(vx, vy) - maps a displacement into the untransformed box
+
+export const ShapeTypes = [
+  "rounded_rect",
+  "pill",
+  "circle",
+  "ellipse",
+  "superellipse",
+  "path",
+];
+
+export function createShape({
+  type = "rounded_rect",
+  width,
+  height,
+  radius = 0,
+  exponent = 4,
+  path = "",
+  deformation = null,
+}) {
+  const shape = createBaseShape(type, width, height, radius, exponent, path);
+  return deformation ? deformShape(shape, deformation) : shape;
+}
+
+function createBaseShape(type, width, height, radius, exponent, path) {
+  switch (type) {
+    case "rounded_rect":
+      return createRoundedRect(width, height, radius);
+    case "pill":
+      return createRoundedRect(width, height, Math.min(width, height) / 2);
+    case "circle": {
+      const diameter = Math.min(width, height);
+      return createSuperellipse(width, height, diameter, diameter, 2);
+    }
+    case "ellipse":
+      return createSuperellipse(width, height, width, height, 2);
+    case "superellipse":
+      return createSuperellipse(width, height, width, height, exponent);
+    case "path":
+      return createPathShape(width, height, path);
+    default:
+      throw new Error(`Unknown glass shape "${type}"`);
+  }
+}
+
+// Shape as seen through a CSS transform that stretches it by `along` in
+// the direction `angle` (radians, y down) and by `across` perpendicular to
+// it, i.e. rotate(angle) scale(along, across) rotate(-angle). Coordinates
+// stay those of the untransformed box, but distances and normals are
+// measured after the transform (to first order), and toLocal() maps
+// displacement vectors back into the box so the transform stretches them
+// into place.
+export function deformShape(shape, { angle = 0, along = 1, across = 1 }) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  // Inverse of the (symmetric) transform matrix, which also maps normals
+  const toLocal = (vx, vy) => {
+    const u = (vx * cos + vy * sin) / along;
+    const v = (vy * cos - vx * sin) / across;
+    return [u * cos - v * sin, u * sin + v * cos];
+  };
+  const gradient = (x, y) => {
+    const [gx, gy] = toLocal(...shape.normal(x, y));
+    return [gx, gy, Math.hypot(gx, gy) || 1];
+  };
+
+  return {
+    ...shape,
+    // Quadrant mirroring survives stretching along the axes only
+    symmetric: shape.symmetric && Math.abs(Math.sin(2 * angle)) < 1e-9,
+    deformation: { angle, along, across },
+    sdf(x, y) {
+      return shape.sdf(x, y) / gradient(x, y)[2];
+    },
+    normal(x, y) {
+      const [gx, gy, length] = gradient(x, y);
+      return [gx / length, gy / length];
+    },
+    toLocal,
+  };
+}
+
+function createRoundedRect(width, height, radius) {
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const r = Math.max(0, Math.min(radius, centerX, centerY));
+  const innerX = centerX - r;
+  const innerY = centerY - r;
+
+  return {
+    type: "rounded_rect",
+    width,
+    height,
+    // Corner radius after clamping, usable as a CSS border-radius
+    radius: r,
+    symmetric: true,
+    sdf(x, y) {
+      const qx = Math.abs(x - centerX) - innerX;
+      const qy = Math.abs(y - centerY) - innerY;
+      // Only the corners need a square root
+      if (qx > 0 && qy > 0) return Math.sqrt(qx * qx + qy * qy) - r;
+      return Math.max(qx, qy) - r;
+    },
+    normal(x, y) {
+      const signX = x < centerX ? -1 : 1;
+      const signY = y < centerY ? -1 : 1;
+      const qx = Math.abs(x - centerX) - innerX;
+      const qy = Math.abs(y - centerY) - innerY;
+      if (qx > 0 && qy > 0) {
+        const length = Math.sqrt(qx * qx + qy * qy);
+        return [(signX * qx) / length, (signY * qy) / length];
+      }
+      return qx > qy ? [signX, 0] : [0, signY];
+    },
+    pathData: [
+      `M${r},0`,
+      `H${width - r}`,
+      `A${r},${r} 0 0 1 ${width},${r}`,
+      `V${height - r}`,
+      `A${r},${r} 0 0 1 ${width - r},${height}`,
+      `H${r}`,
+      `A${r},${r} 0 0 1 0,${height - r}`,
+      `V${r}`,
+      `A${r},${r} 0 0 1 ${r},0`,
+      "Z",
+    ].join(" "),
+  };
+}
+
+// |x/a|^n + |y/b|^n = 1, centred in the box. The distance is the first-order
+// approximation (F - 1) / |∇F|, which is exact for circles and accurate
+// near the outline, where the bezel lives.
+function createSuperellipse(width, height, shapeWidth, shapeHeight, exponent) {
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const a = shapeWidth / 2;
+  const b = shapeHeight / 2;
+  const n = Math.max(1, exponent);
+
+  function field(x, y) {
+    const u = (x - centerX) / a;
+    const v = (y - centerY) / b;
+    const f = Math.pow(
+      Math.pow(Math.abs(u), n) + Math.pow(Math.abs(v), n),
+      1 / n,
+    );
+    if (f === 0) return { f, gx: 0, gy: 0 };
+    const common = Math.pow(f, 1 - n);
+    return {
+      f,
+      gx: (common * Math.pow(Math.abs(u), n - 1) * Math.sign(u)) / a,
+      gy: (common * Math.pow(Math.abs(v), n - 1) * Math.sign(v)) / b,
+    };
+  }
+
+  const segments = 128;
+  const outline = [];
+  for (let i = 0; i < segments; i++) {
+    const angle = (i / segments) * Math.PI * 2;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    outline.push([
+      centerX + a * Math.sign(cos) * Math.pow(Math.abs(cos), 2 / n),
+      centerY + b * Math.sign(sin) * Math.pow(Math.abs(sin), 2 / n),
+    ]);
+  }
+
+  return {
+    type: "superellipse",
+    width,
+    height,
+    symmetric: true,
+    sdf(x, y) {
+      const { f, gx, gy } = field(x, y);
+      const gradient = Math.hypot(gx, gy);
+      if (gradient < 1e-9) return -Math.min(a, b);
+      return (f - 1) / gradient;
+    },
+    normal(x, y) {
+      const { gx, gy } = field(x, y);
+      const gradient = Math.hypot(gx, gy);
+      if (gradient < 1e-9) return [0, 0];
+      return [gx / gradient, gy / gradient];
+    },
+    pathData: polylineToPathData([outline]),
+  };
+}
+
+// Any closed SVG path, stretched from its bounding box to fill the box
+function createPathShape(width, height, d) {
+  const subpaths = parsePathData(d).filter((points) => points.length > 2);
+  if (!subpaths.length) throw new Error("Glass path has no closed area");
+
+  const all = subpaths.flat();
+  const minX = Math.min(...all.map(([x]) => x));
+  const maxX = Math.max(...all.map(([x]) => x));
+  const minY = Math.min(...all.map(([, y]) => y));
+  const maxY = Math.max(...all.map(([, y]) => y));
+  const scaleX = width / (maxX - minX || 1);
+  const scaleY = height / (maxY - minY || 1);
+  const polygons = subpaths.map((points) =>
+    points.map(([x, y]) => [(x - minX) * scaleX, (y - minY) * scaleY]),
+  );
+
+  // Flat segment list: x1, y1, x2, y2
+  const segments = [];
+  polygons.forEach((points) => {
+    points.forEach(([x1, y1], i) => {
+      const [x2, y2] = points[(i + 1) % points.length];
+      segments.push(x1, y1, x2, y2);
+    });
+  });
+
+  // Closest point on the outline and whether (x, y) is inside (even-odd)
+  function nearest(x, y) {
+    let best = Infinity;
+    let closestX = x;
+    let closestY = y;
+    let inside = false;
+
+    for (let i = 0; i < segments.length; i += 4) {
+      const x1 = segments[i];
+      const y1 = segments[i + 1];
+      const x2 = segments[i + 2];
+      const y2 = segments[i + 3];
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const lengthSquared = dx * dx + dy * dy;
+      const t =
+        lengthSquared > 0
+          ? Math.max(
+              0,
+              Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared),
+            )
+          : 0;
+      const px = x1 + t * dx;
+      const py = y1 + t * dy;
+      const distanceSquared = (x - px) ** 2 + (y - py) ** 2;
+      if (distanceSquared < best) {
+        best = distanceSquared;
+        closestX = px;
+        closestY = py;
+      }
+
+      if (y1 > y !== y2 > y && x < x1 + ((y - y1) / (y2 - y1)) * dx) {
+        inside = !inside;
+      }
+    }
+    return { distance: Math.sqrt(best), closestX, closestY, inside };
+  }
+
+  return {
+    type: "path",
+    width,
+    height,
+    symmetric: false,
+    sdf(x, y) {
+      const { distance, inside } = nearest(x, y);
+      return inside ? -distance : distance;
+    },
+    normal(x, y) {
+      const { distance, closestX, closestY, inside } = nearest(x, y);
+      if (distance < 1e-9) return [0, 0];
+      const sign = inside ? -1 : 1;
+      return [
+        (sign * (x - closestX)) / distance,
+        (sign * (y - closestY)) / distance,
+      ];
+    },
+    pathData: polylineToPathData(polygons),
+  };
+}
+
+function polylineToPathData(polygons) {
+  return polygons
+    .map(
+      (points) =>
+        points
+          .map(
+            ([x, y], i) =>
+              `${i === 0 ? "M" : "L"}${+x.toFixed(2)},${+y.toFixed(2)}`,
+          )
+          .join(" ") + " Z",
+    )
+    .join(" ");
+}
+
+const CURVE_SEGMENTS = 16;
+const NUMBER_PATTERN = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/y;
+
+// Parse SVG path data into flattened subpaths of [x, y] points.
+// Supports every path command; curves and arcs are sampled.
+export function parsePathData(d) {
+  const subpaths = [];
+  let points = null;
+  let index = 0;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  // Reflected control point for S/T
+  let controlX = 0;
+  let controlY = 0;
+  let previousCommand = null;
+
+  function skipSeparators() {
+    while (index < d.length && /[\s,]/.test(d[index])) index++;
+  }
+
+  function hasNumber() {
+    skipSeparators();
+    return index < d.length && /[-+.\d]/.test(d[index]);
+  }
+
+  function readNumber() {
+    skipSeparators();
+    NUMBER_PATTERN.lastIndex = index;
+    const match = NUMBER_PATTERN.exec(d);
+    if (!match) throw new Error(`Invalid path data at position ${index}`);
+    index = NUMBER_PATTERN.lastIndex;
+    return parseFloat(match[0]);
+  }
+
+  // Arc flags may be written without separators ("a1 1 0 011 1")
+  function readFlag() {
+    skipSeparators();
+    const flag = d[index++];
+    if (flag !== "0" && flag !== "1") {
+      throw new Error(`Invalid arc flag at position ${index - 1}`);
+    }
+    return flag === "1";
+  }
+
+  function lineTo(nextX, nextY) {
+    if (!points) {
+      points = [[x, y]];
+      subpaths.push(points);
+    }
+    points.push([nextX, nextY]);
+    x = nextX;
+    y = nextY;
+  }
+
+  function curveTo(evaluate, endX, endY) {
+    for (let i = 1; i <= CURVE_SEGMENTS; i++) {
+      const [px, py] = evaluate(i / CURVE_SEGMENTS);
+      lineTo(
+        i === CURVE_SEGMENTS ? endX : px,
+        i === CURVE_SEGMENTS ? endY : py,
+      );
+    }
+  }
+
+  function arcTo(rx, ry, rotation, largeArc, sweep, endX, endY) {
+    if (rx === 0 || ry === 0) {
+      lineTo(endX, endY);
+      return;
+    }
+    // Endpoint to centre parameterisation (SVG 1.1, appendix F.6.5)
+    const phi = (rotation * Math.PI) / 180;
+    const cosPhi = Math.cos(phi);
+    const sinPhi = Math.sin(phi);
+    const dx = (x - endX) / 2;
+    const dy = (y - endY) / 2;
+    const x1 = cosPhi * dx + sinPhi * dy;
+    const y1 = -sinPhi * dx + cosPhi * dy;
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    const factor =
+      (largeArc === sweep ? -1 : 1) *
+      Math.sqrt(Math.max(0, numerator / denominator));
+    const cx1 = (factor * rx * y1) / ry;
+    const cy1 = (-factor * ry * x1) / rx;
+    const centerX = cosPhi * cx1 - sinPhi * cy1 + (x + endX) / 2;
+    const centerY = sinPhi * cx1 + cosPhi * cy1 + (y + endY) / 2;
+    const angle = (ux, uy, vx, vy) =>
+      Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle(
+      (x1 - cx1) / rx,
+      (y1 - cy1) / ry,
+      (-x1 - cx1) / rx,
+      (-y1 - cy1) / ry,
+    );
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+
+    curveTo(
+      (t) => {
+        const a = theta + delta * t;
+        const ex = rx * Math.cos(a);
+        const ey = ry * Math.sin(a);
+        return [
+          centerX + cosPhi * ex - sinPhi * ey,
+          centerY + sinPhi * ex + cosPhi * ey,
+        ];
+      },
+      endX,
+      endY,
+    );
+  }
+
+  while (true) {
+    skipSeparators();
+    if (index >= d.length) break;
+
+    if (/[a-zA-Z]/.test(d[index])) {
+      command = d[index++];
+    } else if (!command) {
+      throw new Error("Path data must start with a command");
+    }
+
+    const relative = command === command.toLowerCase();
+    const offsetX = relative ? x : 0;
+    const offsetY = relative ? y : 0;
+    const upper = command.toUpperCase();
+
+    switch (upper) {
+      case "M":
+        x = readNumber() + offsetX;
+        y = readNumber() + offsetY;
+        startX = x;
+        startY = y;
+        points = null;
+        // Further coordinate pairs are implicit line-tos
+        command = relative ? "l" : "L";
+        break;
+      case "L":
+        lineTo(readNumber() + offsetX, readNumber() + offsetY);
+        break;
+      case "H":
+        lineTo(readNumber() + offsetX, y);
+        break;
+      case "V":
+        lineTo(x, readNumber() + offsetY);
+        break;
+      case "C":
+      case "S": {
+        const fromX = x;
+        const fromY = y;
+        let c1x;
+        let c1y;
+        if (upper === "C") {
+          c1x = readNumber() + offsetX;
+          c1y = readNumber() + offsetY;
+        } else {
+          const reflect = /[CS]/.test(previousCommand);
+          c1x = reflect ? 2 * x - controlX : x;
+          c1y = reflect ? 2 * y - controlY : y;
+        }
+        const c2x = readNumber() + offsetX;
+        const c2y = readNumber() + offsetY;
+        const endX = readNumber() + offsetX;
+        const endY = readNumber() + offsetY;
+        curveTo(
+          (t) => {
+            const mt = 1 - t;
+            return [
+              mt ** 3 * fromX +
+                3 * mt * mt * t * c1x +
+                3 * mt * t * t * c2x +
+                t ** 3 * endX,
+              mt ** 3 * fromY +
+                3 * mt * mt * t * c1y +
+                3 * mt * t * t * c2y +
+                t ** 3 * endY,
+            ];
+          },
+          endX,
+          endY,
+        );
+        controlX = c2x;
+        controlY = c2y;
+        break;
+      }
+      case "Q":
+      case "T": {
+        const fromX = x;
+        const fromY = y;
+        let cx;
+        let cy;
+        if (upper === "Q") {
+          cx = readNumber() + offsetX;
+          cy = readNumber() + offsetY;
+        } else {
+          const reflect = /[QT]/.test(previousCommand);
+          cx = reflect ? 2 * x - controlX : x;
+          cy = reflect ? 2 * y - controlY : y;
+        }
+        const endX = readNumber() + offsetX;
+        const endY = readNumber() + offsetY;
+        curveTo(
+          (t) => {
+            const mt = 1 - t;
+            return [
+              mt * mt * fromX + 2 * mt * t * cx + t * t * endX,
+              mt * mt * fromY + 2 * mt * t * cy + t * t * endY,
+            ];
+          },
+          endX,
+          endY,
+        );
+        controlX = cx;
+        controlY = cy;
+        break;
+      }
+      case "A": {
+        const rx = readNumber();
+        const ry = readNumber();
+        const rotation = readNumber();
+        const largeArc = readFlag();
+        const sweep = readFlag();
+        arcTo(
+          rx,
+          ry,
+          rotation,
+          largeArc,
+          sweep,
+          readNumber() + offsetX,
+          readNumber() + offsetY,
+        );
+        break;
+      }
+      case "Z":
+        x = startX;
+        y = startY;
+        points = null;
+        break;
+      default:
+        throw new Error(`Unknown path command "${command}"`);
+    }
+
+    previousCommand = upper;
+    // Z takes no arguments, so a number after it would never be consumed
+    if (upper === "Z" && hasNumber()) {
+      throw new Error("Unexpected number after Z");
+    }
+  }
+
+  return subpaths;
+}
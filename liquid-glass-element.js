@@ -0,0 +1,144 @@
+// <liquid-glass> custom element: attribute-driven wrapper around
+// createLiquidGlass with its filter kept inside the shadow root.
+import { SurfaceEquations } from "./glass-math.js";
+import { ShapeTypes, createShape } from "./glass-shapes.js";
+import { createLiquidGlass, liquidGlassDefaults } from "./liquid-glass.js";
+
+// Attribute name -> createLiquidGlass option
+const liquidGlassAttributes = {
+  surface: {
+    option: "surface",
+    parse: (value) =>
+      Object.hasOwn(SurfaceEquations, value) ? value : undefined,
+  },
+  shape: {
+    option: "shape",
+    parse: (value) => (ShapeTypes.includes(value) ? value : undefined),
+  },
+  exponent: { option: "superellipseExponent", parse: parseFloat },
+  path: { option: "path", parse: parseShapePath },
+  radius: { option: "radius", parse: parseFloat },
+  "bezel-width": { option: "bezelWidth", parse: parseFloat },
+  thickness: { option: "glassThickness", parse: parseFloat },
+  ior: { option: "refractiveIndex", parse: parseFloat },
+  "refraction-scale": { option: "refractionScale", parse: parseFloat },
+  "specular-opacity": { option: "specularOpacity", parse: parseFloat },
+  blur: { option: "blur", parse: parseFloat },
+};
+
+// Ignore path data that doesn't describe a closed area
+function parseShapePath(value) {
+  try {
+    createShape({ type: "path", width: 1, height: 1, path: value });
+    return value;
+  } catch {
+    return undefined;
+  }
+}
+
+const liquidGlassElementStyles = `
+  :host {
+    display: inline-block;
+    position: relative;
+  }
+  .glass {
+    position: absolute;
+    inset: 0;
+    border-radius: inherit;
+    pointer-events: none;
+    backdrop-filter: var(--liquid-glass-filter);
+    -webkit-backdrop-filter: var(--liquid-glass-filter);
+    box-shadow:
+      0 4px 12px rgba(0, 0, 0, 0.15),
+      inset 0 1px 8px rgba(255, 255, 255, 0.2);
+  }
+  .content {
+    position: relative;
+  }
+`;
+
+export class LiquidGlassElement extends HTMLElement {
+  static get observedAttributes() {
+    return Object.keys(liquidGlassAttributes);
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.shadowRoot.innerHTML = `
+      <style>${liquidGlassElementStyles}</style>
+      <div class="glass" part="glass"></div>
+      <div class="content" part="content"><slot></slot></div>
+    `;
+    this.glassLayer = this.shadowRoot.querySelector(".glass");
+    this.glass = null;
+    // Maps are generated at the element's rendered size
+    this.resizeObserver = new ResizeObserver(() => this.render());
+  }
+
+  connectedCallback() {
+    this.resizeObserver.observe(this);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    this.resizeObserver.disconnect();
+    if (this.glass) {
+      this.glass.destroy();
+      this.glass = null;
+    }
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  readOptions() {
+    const width = Math.round(this.offsetWidth);
+    const height = Math.round(this.offsetHeight);
+    const options = {
+      ...liquidGlassDefaults,
+      width,
+      height,
+      radius: Math.min(width, height) / 2,
+    };
+
+    Object.entries(liquidGlassAttributes).forEach(([name, config]) => {
+      if (!this.hasAttribute(name)) return;
+      const value = config.parse(this.getAttribute(name));
+      if (value !== undefined && !Number.isNaN(value)) {
+        options[config.option] = value;
+      }
+    });
+
+    options.radius = Math.min(options.radius, width / 2, height / 2);
+    return options;
+  }
+
+  render() {
+    if (!this.isConnected) return;
+    const options = this.readOptions();
+    if (!options.width || !options.height) return;
+
+    if (options.shape === "path" && !options.path) {
+      options.shape = liquidGlassDefaults.shape;
+    }
+
+    if (this.glass) {
+      this.glass.update(options);
+    } else {
+      this.glass = createLiquidGlass(this.glassLayer, options);
+    }
+    // Rounded shapes keep their shadow, others are clipped to the outline
+    const isRounded =
+      options.shape === "rounded_rect" || options.shape === "pill";
+    const radius =
+      options.shape === "pill"
+        ? Math.min(options.width, options.height) / 2
+        : options.radius;
+    this.glassLayer.style.borderRadius = isRounded ? radius + "px" : "0";
+    this.glassLayer.style.clipPath = isRounded ? "" : this.glass.clipUrl;
+  }
+}
+
+customElements.define("liquid-glass", LiquidGlassElement);
@@ -0,0 +1,367 @@
+// WebGL2 backend for a liquid glass from createLiquidGlass(). Without
+// `backdrop-filter: url()` a page can't filter what is behind an element,
+// and filtering a live copy of it costs a second DOM. Here the backdrop is
+// captured into a texture instead (not in WebKit, which taints the
+// capture, see getBackdropCaptureProblem()), and a fragment shader
+// samples it through the glass's own displacement and specular maps,
+// following the SVG filter chain: blur, displacement (per channel with
+// dispersion), saturation and the specular layer.
+
+const VERTEX_SHADER = `#version 300 es
+void main() {
+  // One triangle covering the canvas
+  vec2 position = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+  gl_Position = vec4(position * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+
+uniform sampler2D uBackdrop;
+uniform sampler2D uDisplacementRed;
+uniform sampler2D uDisplacementGreen;
+uniform sampler2D uDisplacementBlue;
+uniform sampler2D uSpecular;
+// Backdrop size and glass centre in it, in CSS pixels
+uniform vec2 uBackdropSize;
+uniform vec2 uCenter;
+// CSS transform of the glass, about its centre
+uniform mat2 uTransform;
+uniform vec2 uSize;
+uniform float uCanvasHeight;
+uniform float uPixelRatio;
+uniform float uScale;
+uniform float uBlur;
+uniform float uSaturation;
+uniform float uSpecularOpacity;
+uniform bool uDispersion;
+// 16-bit displacement maps, see calculateDisplacementMap2D()
+uniform bool uPrecise;
+uniform bool uSaturateUnderSpecular;
+
+out vec4 outColor;
+
+// 3x3 Gaussian taps one standard deviation apart, for feGaussianBlur
+vec3 sampleBackdrop(vec2 position) {
+  vec3 sum = vec3(0.0);
+  float total = 0.0;
+  for (int y = -1; y <= 1; y++) {
+    for (int x = -1; x <= 1; x++) {
+      float weight = exp(-0.5 * float(x * x + y * y));
+      vec2 offset = vec2(x, y) * uBlur;
+      sum += weight * texture(uBackdrop, (position + offset) / uBackdropSize).rgb;
+      total += weight;
+    }
+  }
+  return sum / total;
+}
+
+// Displacement as a fraction: 8-bit in red and green, or 16-bit with the
+// low bytes in blue and alpha. Filtering is linear, so interpolating the
+// bytes separately gives the interpolated 16-bit value.
+vec2 readDisplacement(sampler2D map, vec2 uv) {
+  vec4 texel = texture(map, uv);
+  if (!uPrecise) return texel.rg;
+  return (texel.rg * 65280.0 + texel.ba * 255.0) / 65535.0;
+}
+
+// feDisplacementMap: shift by scale * (channel - 0.5), in glass pixels,
+// then place the glass pixel on the backdrop
+vec3 sampleDisplaced(sampler2D map, vec2 position, vec2 uv) {
+  vec2 displaced = position + uScale * (readDisplacement(map, uv) - 0.5);
+  return sampleBackdrop(uCenter + uTransform * (displaced - uSize * 0.5));
+}
+
+void main() {
+  // Glass pixel, with the maps' top-down rows
+  vec2 position =
+    vec2(gl_FragCoord.x, uCanvasHeight - gl_FragCoord.y) / uPixelRatio;
+  vec2 uv = position / uSize;
+
+  vec3 color;
+  if (uDispersion) {
+    color = vec3(
+      sampleDisplaced(uDisplacementRed, position, uv).r,
+      sampleDisplaced(uDisplacementGreen, position, uv).g,
+      sampleDisplaced(uDisplacementBlue, position, uv).b
+    );
+  } else {
+    color = sampleDisplaced(uDisplacementGreen, position, uv);
+  }
+
+  // feColorMatrix type="saturate"
+  float luminance = dot(color, vec3(0.2126, 0.7152, 0.0722));
+  vec3 saturated = clamp(mix(vec3(luminance), color, uSaturation), 0.0, 1.0);
+
+  vec4 specular = texture(uSpecular, uv);
+  float alpha = clamp(specular.a * uSpecularOpacity, 0.0, 1.0);
+  vec3 result;
+  if (uSaturateUnderSpecular) {
+    // Saturation only under the specular rim, then the rim over it
+    result = mix(mix(color, saturated, specular.a), specular.rgb, alpha);
+  } else {
+    // Screen blend of the faded specular layer
+    vec3 light = specular.rgb * alpha;
+    result = light + saturated - light * saturated;
+  }
+  outColor = vec4(result, 1.0);
+}`;
+
+// Why WebGL2 can't be used in this browser, or null when it can
+export function getWebGL2Problem() {
+  if (typeof WebGL2RenderingContext === "undefined") {
+    return "WebGL2 is not available in this browser";
+  }
+  const gl = document.createElement("canvas").getContext("webgl2");
+  if (!gl) return "WebGL2 is disabled or unavailable on this GPU";
+  gl.getExtension("WEBGL_lose_context")?.loseContext();
+  return null;
+}
+
+function imageToDataURL(image) {
+  const canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth;
+  canvas.height = image.naturalHeight;
+  canvas.getContext("2d").drawImage(image, 0, 0);
+  // Throws for cross-origin images served without CORS
+  return canvas.toDataURL();
+}
+
+// Copy of `node` for an SVG <foreignObject>, which sees neither the page's
+// stylesheets nor external resources: computed styles are inlined and
+// images become data URLs. Pseudo-elements are not copied.
+function copyWithStyles(node, exclude) {
+  if (node.nodeType === Node.TEXT_NODE) return node.cloneNode();
+  if (node.nodeType !== Node.ELEMENT_NODE || exclude(node)) return null;
+
+  const copy = node.cloneNode(false);
+  const computed = getComputedStyle(node);
+  copy.style.cssText = [...computed]
+    .map((name) => `${name}: ${computed.getPropertyValue(name)}`)
+    .join("; ");
+  if (node instanceof HTMLImageElement) {
+    copy.removeAttribute("srcset");
+    if (node.complete && node.naturalWidth) {
+      copy.setAttribute("src", imageToDataURL(node));
+    } else {
+      copy.removeAttribute("src");
+    }
+  }
+  node.childNodes.forEach((child) => {
+    const childCopy = copyWithStyles(child, exclude);
+    if (childCopy) copy.append(childCopy);
+  });
+  return copy;
+}
+
+// Render `source` (e.g. the element behind the glass) into a canvas by
+// drawing its styled copy through an SVG image. `exclude(element)` leaves
+// elements out, such as the glass itself. Rejects when the copy can't be
+// made or drawn. WebKit taints the canvas, which shows up as a
+// SecurityError when it is read or uploaded with setBackdrop().
+export async function captureBackdrop(
+  source,
+  { exclude = () => false, pixelRatio = window.devicePixelRatio || 1 } = {},
+) {
+  const width = source.offsetWidth;
+  const height = source.offsetHeight;
+  const copy = copyWithStyles(source, exclude);
+  copy.style.margin = "0";
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width * pixelRatio}"` +
+    ` height="${height * pixelRatio}" viewBox="0 0 ${width} ${height}">` +
+    `<foreignObject width="${width}" height="${height}">` +
+    new XMLSerializer().serializeToString(copy) +
+    "</foreignObject></svg>";
+  const image = new Image();
+  image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+  await image.decode();
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * pixelRatio);
+  canvas.height = Math.round(height * pixelRatio);
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// Why captureBackdrop() can't be used here, or null when it can. WebKit
+// taints canvases that draw a <foreignObject>, so a tiny capture is read
+// back first.
+export async function getBackdropCaptureProblem() {
+  const probe = document.createElement("div");
+  probe.style.cssText =
+    "position: fixed; left: 0; top: 0; width: 2px; height: 2px; visibility: hidden";
+  document.body.append(probe);
+  try {
+    const canvas = await captureBackdrop(probe, { pixelRatio: 1 });
+    canvas.getContext("2d").getImageData(0, 0, 1, 1);
+    return null;
+  } catch (error) {
+    return error.name === "SecurityError"
+      ? "this browser taints captured images (WebKit)"
+      : `capturing the backdrop failed (${error.message})`;
+  } finally {
+    probe.remove();
+  }
+}
+
+function compileShader(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    throw new Error(`Shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+  }
+  return shader;
+}
+
+// Draw `glass` into `canvas` (sized to the glass, e.g. inside it) over a
+// backdrop set with setBackdrop(). Maps are re-uploaded whenever the
+// glass has new ones, so render() after update(), setScale() or
+// setLightAngle() is enough. The 16-bit maps of a glass with
+// displacementPrecision 16 are used when present.
+export function createWebGLGlass(glass, canvas) {
+  const gl = canvas.getContext("webgl2", { premultipliedAlpha: false });
+  if (!gl) throw new Error("WebGL2 is disabled or unavailable on this GPU");
+
+  const program = gl.createProgram();
+  gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+  gl.attachShader(
+    program,
+    compileShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER),
+  );
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Shader failed to link: ${gl.getProgramInfoLog(program)}`);
+  }
+  gl.useProgram(program);
+  const uniformLocations = new Map();
+  function getUniform(name) {
+    if (!uniformLocations.has(name)) {
+      uniformLocations.set(name, gl.getUniformLocation(program, name));
+    }
+    return uniformLocations.get(name);
+  }
+
+  // Texture units by sampler
+  const units = [
+    "uBackdrop",
+    "uDisplacementRed",
+    "uDisplacementGreen",
+    "uDisplacementBlue",
+    "uSpecular",
+  ];
+  const textures = units.map((name, unit) => {
+    const texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.uniform1i(getUniform(name), unit);
+    return texture;
+  });
+  // Buffers currently in each texture
+  const uploaded = units.map(() => null);
+
+  function uploadBuffer(unit, buffer) {
+    if (uploaded[unit] === buffer) return;
+    uploaded[unit] = buffer;
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, textures[unit]);
+    const { width, height, data } = buffer;
+    gl.texImage2D(
+      gl.TEXTURE_2D,
+      0,
+      gl.RGBA,
+      width,
+      height,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+    );
+  }
+
+  let backdropSize = null;
+
+  return {
+    canvas,
+
+    // Image or canvas of the backdrop and its size in CSS pixels. Throws a
+    // SecurityError for a tainted (cross-origin) image.
+    setBackdrop(image, width, height) {
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, textures[0]);
+      gl.texImage2D(
+        gl.TEXTURE_2D,
+        0,
+        gl.RGBA,
+        gl.RGBA,
+        gl.UNSIGNED_BYTE,
+        image,
+      );
+      backdropSize = [width, height];
+    },
+
+    // `center`: glass centre on the backdrop in CSS pixels. `transform`:
+    // DOMMatrix of the glass's CSS transform (its translation moves the
+    // centre).
+    render({ center, transform = new DOMMatrix() }) {
+      const maps = glass.preciseDisplacementMaps ?? glass.displacementMaps;
+      if (!backdropSize || !maps || gl.isContextLost()) return;
+
+      const options = glass.options;
+      const pixelRatio = window.devicePixelRatio || 1;
+      const width = Math.round(options.width * pixelRatio);
+      const height = Math.round(options.height * pixelRatio);
+      if (canvas.width !== width) canvas.width = width;
+      if (canvas.height !== height) canvas.height = height;
+      gl.viewport(0, 0, width, height);
+
+      uploadBuffer(1, maps.red ?? maps.green);
+      uploadBuffer(2, maps.green);
+      uploadBuffer(3, maps.blue ?? maps.green);
+      uploadBuffer(4, glass.specularData);
+
+      gl.uniform2f(getUniform("uBackdropSize"), ...backdropSize);
+      gl.uniform2f(
+        getUniform("uCenter"),
+        center.x + transform.e,
+        center.y + transform.f,
+      );
+      gl.uniformMatrix2fv(getUniform("uTransform"), false, [
+        transform.a,
+        transform.b,
+        transform.c,
+        transform.d,
+      ]);
+      gl.uniform2f(getUniform("uSize"), options.width, options.height);
+      gl.uniform1f(getUniform("uCanvasHeight"), height);
+      gl.uniform1f(getUniform("uPixelRatio"), pixelRatio);
+      gl.uniform1f(
+        getUniform("uScale"),
+        glass.maximumDisplacement * glass.scaleRatio,
+      );
+      gl.uniform1f(getUniform("uBlur"), options.blur);
+      gl.uniform1f(
+        getUniform("uSaturation"),
+        options.specularSaturation ?? options.saturation,
+      );
+      gl.uniform1f(getUniform("uSpecularOpacity"), options.specularOpacity);
+      gl.uniform1i(getUniform("uDispersion"), Boolean(maps.red));
+      gl.uniform1i(getUniform("uPrecise"), maps.green.precision === 16);
+      gl.uniform1i(
+        getUniform("uSaturateUnderSpecular"),
+        options.specularSaturation != null,
+      );
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+    },
+
+    destroy() {
+      gl.getExtension("WEBGL_lose_context")?.loseContext();
+    },
+  };
+}
@@ -0,0 +1,757 @@
+// Liquid glass component: builds a self-contained SVG filter for an element
+// from the maps generated in glass-math.js.
+import {
+  SurfaceEquations,
+  calculateNormalMap,
+  shadeNormalMap,
+} from "./glass-math.js";
+import {
+  calculateGlassProfiles,
+  getMapsKey,
+  getLights,
+  getMapBezelWidth,
+  getMapShapeOptions,
+  getShapeOptions,
+  getSpecularOptions,
+  renderGlassMaps,
+} from "./glass-maps.js";
+import { createShape } from "./glass-shapes.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Wrap a { width, height, data } buffer for canvas APIs
+export function toImageData(buffer) {
+  return new ImageData(buffer.data, buffer.width, buffer.height);
+}
+
+// Convert a pixel buffer to data URL
+export function bufferToDataURL(buffer) {
+  const canvas = document.createElement("canvas");
+  canvas.width = buffer.width;
+  canvas.height = buffer.height;
+  const ctx = canvas.getContext("2d");
+  ctx.putImageData(toImageData(buffer), 0, 0);
+  return canvas.toDataURL();
+}
+
+// Probe for backdrop-filter with SVG filters. Parsing
+// `backdrop-filter: url()` doesn't mean it renders, so an SVG image lays
+// an element with such a backdrop-filter over a red and a blue half, its
+// filter shifting the backdrop by half the width, and a pixel of the red
+// half is read back: blue when the filter ran. Resolves true or false, or
+// null when the probe can't tell (e.g. the browser taints the canvas).
+// true is strong evidence. false only means the filter didn't run in the
+// image, which isn't the page: engines that render it on the page may
+// still skip it there.
+export async function probeBackdropFilter() {
+  const size = 16;
+  const svg =
+    `<svg xmlns="${SVG_NS}" width="${size}" height="${size}">` +
+    '<filter id="probe" x="0" y="0" width="100%" height="100%"' +
+    ' color-interpolation-filters="sRGB">' +
+    // Red 1 and green ~0.5: sample scale / 2 to the right
+    '<feFlood flood-color="rgb(255, 128, 128)" result="map" />' +
+    `<feDisplacementMap in="SourceGraphic" in2="map" scale="${size}"` +
+    ' xChannelSelector="R" yChannelSelector="G" />' +
+    "</filter>" +
+    `<foreignObject width="${size}" height="${size}">` +
+    '<div xmlns="http://www.w3.org/1999/xhtml" style="position: relative;' +
+    ` width: ${size}px; height: ${size}px;` +
+    ' background: linear-gradient(90deg, red 50%, blue 50%)">' +
+    '<div style="position: absolute; inset: 0;' +
+    ' backdrop-filter: url(#probe)"></div>' +
+    "</div></foreignObject></svg>";
+
+  try {
+    const image = new Image();
+    image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+    await image.decode();
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    ctx.drawImage(image, 0, 0);
+    const [red, , blue] = ctx.getImageData(size / 4, size / 2, 1, 1).data;
+    if (blue > red) return true;
+    if (red > blue) return false;
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+export const liquidGlassDefaults = {
+  surface: "convex_squircle",
+  // Outline of the glass, see ShapeTypes in glass-shapes.js
+  shape: "rounded_rect",
+  superellipseExponent: 4,
+  // SVG path data for the "path" shape
+  path: "",
+  width: 200,
+  height: 140,
+  radius: 70,
+  bezelWidth: 30,
+  glassThickness: 150,
+  refractiveIndex: 1.5,
+  specularAngle: Math.PI / 3,
+  // [{ angle, color: "#rrggbb", intensity, elevation }], replacing the
+  // single white light at specularAngle
+  lights: null,
+  // "rim" or "blinn_phong", see SpecularModels in glass-math.js
+  specularModel: "rim",
+  shininess: 40,
+  refractionScale: 1,
+  specularOpacity: 0.5,
+  saturation: 1.3,
+  // When set, saturation is only applied under the specular rim
+  // (slider/switch look) instead of screen-blending over the whole lens
+  specularSaturation: null,
+  blur: 0.5,
+  // Chromatic dispersion: refract red, green and blue separately
+  dispersion: false,
+  abbeNumber: 58,
+  dispersionStrength: 1,
+  // Render maps in a worker when the browser supports OffscreenCanvas
+  useWorker: true,
+  // Map resolution relative to the glass size, below 1 for large glass
+  mapScale: 1,
+  // Stretch { angle, along, across } that a CSS transform applies to the
+  // glass, for maps that match it (see deformShape())
+  deformation: null,
+  // 16 also renders 16-bit displacement maps, for backends reading the
+  // raw buffers (see preciseDisplacementMaps). The SVG filter stays 8-bit.
+  displacementPrecision: 8,
+};
+
+// Options that require regenerating the displacement/specular maps
+const LIQUID_GLASS_MAP_OPTIONS = [
+  "surface",
+  "shape",
+  "superellipseExponent",
+  "path",
+  "width",
+  "height",
+  "radius",
+  "bezelWidth",
+  "glassThickness",
+  "refractiveIndex",
+  "specularAngle",
+  "lights",
+  "specularModel",
+  "shininess",
+  "dispersion",
+  "abbeNumber",
+  "dispersionStrength",
+  "mapScale",
+  "deformation",
+  "displacementPrecision",
+];
+
+// feColorMatrix values that keep a single colour channel
+const CHANNEL_MATRICES = {
+  red: "1 0 0 0 0  0 0 0 0 0  0 0 0 0 0  0 0 0 1 0",
+  green: "0 0 0 0 0  0 1 0 0 0  0 0 0 0 0  0 0 0 1 0",
+  blue: "0 0 0 0 0  0 0 0 0 0  0 0 1 0 0  0 0 0 1 0",
+};
+
+let liquidGlassCount = 0;
+
+// Options like `lights` are arrays, so compare by value
+function isSameOption(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Map worker shared by every glass: null until first used, false when
+// unavailable. Results are routed to their glass by id.
+let mapWorker = null;
+const mapWorkerHandlers = new Map();
+
+function getMapWorker() {
+  if (mapWorker !== null) return mapWorker;
+  if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined") {
+    mapWorker = false;
+    return mapWorker;
+  }
+  try {
+    mapWorker = new Worker(new URL("./glass-maps-worker.js", import.meta.url), {
+      type: "module",
+    });
+    mapWorker.addEventListener("message", ({ data }) =>
+      mapWorkerHandlers.get(data.glassId)?.(data),
+    );
+    // e.g. no module worker support: fall back to the main thread
+    mapWorker.addEventListener("error", () => {
+      mapWorker.terminate();
+      mapWorker = false;
+      mapWorkerHandlers.forEach((handle) => handle(null));
+    });
+  } catch {
+    mapWorker = false;
+  }
+  return mapWorker;
+}
+
+// Generated maps by parameter key, shared by every glass. Map order is
+// used for least recently used eviction.
+const mapCache = new Map();
+const MAP_CACHE_SIZE = 24;
+
+// Surface functions can be re-registered under the same name (custom
+// profiles), so cache keys use an id per function instead
+const surfaceIds = new WeakMap();
+let surfaceCount = 0;
+
+function getSurfaceId(surfaceFn) {
+  if (!surfaceIds.has(surfaceFn)) surfaceIds.set(surfaceFn, ++surfaceCount);
+  return surfaceIds.get(surfaceFn);
+}
+
+export function createSvgElement(tag, attributes = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) =>
+    el.setAttribute(name, value),
+  );
+  return el;
+}
+
+// Create a self-contained liquid glass filter for an element.
+// The filter is exposed as `filterUrl` and as the --liquid-glass-filter
+// custom property, so CSS can use it with `filter` or `backdrop-filter`.
+export function createLiquidGlass(element, options = {}) {
+  const id = `liquid-glass-${++liquidGlassCount}`;
+  const config = { ...liquidGlassDefaults, ...options };
+  // Keep our own copy so lights edited in place are still compared
+  const copyLights = () => {
+    config.lights = config.lights?.map((light) => ({ ...light })) ?? null;
+  };
+  copyLights();
+  let maximumDisplacement = 0;
+  let displacementData = null;
+  let specularData = null;
+  let shape = null;
+  let surfaceFn = null;
+  let latestRequest = null;
+  let latestKey = null;
+  let requestCount = 0;
+  let appliedMaps = null;
+  let mapsRequestTime = 0;
+  // { source, duration } of the latest maps: "cache", "worker" or "main",
+  // and the milliseconds from requesting them to applying them
+  let mapTiming = null;
+  // setLightAngle() override, shaded from a normal map of the current shape
+  let lightAngle = null;
+  let normalMap = null;
+  // { resolve, reject } of update() promises waiting for worker maps
+  let pendingMaps = [];
+  let scaleRatio = config.refractionScale;
+
+  const svg = createSvgElement("svg", {
+    class: "glass-filter-svg",
+    "aria-hidden": "true",
+  });
+  const defs = createSvgElement("defs");
+  const filter = createSvgElement("filter", {
+    id: `${id}-filter`,
+    x: "-50%",
+    y: "-50%",
+    width: "200%",
+    height: "200%",
+    "color-interpolation-filters": "sRGB",
+  });
+  const blur = createSvgElement("feGaussianBlur", {
+    in: "SourceGraphic",
+    result: "blurred",
+  });
+  const displacementImage = createSvgElement("feImage", {
+    x: 0,
+    y: 0,
+    result: "displacement_map",
+    preserveAspectRatio: "none",
+  });
+  const displacementMap = createSvgElement("feDisplacementMap", {
+    in: "blurred",
+    in2: "displacement_map",
+    xChannelSelector: "R",
+    yChannelSelector: "G",
+    result: "displaced",
+  });
+  const saturate = createSvgElement("feColorMatrix", {
+    in: "displaced",
+    type: "saturate",
+    result: "displaced_saturated",
+  });
+  const specularImage = createSvgElement("feImage", {
+    x: 0,
+    y: 0,
+    result: "specular_layer",
+    preserveAspectRatio: "none",
+  });
+  const specularAlpha = createSvgElement("feFuncA", { type: "linear" });
+  const specularFade = createSvgElement("feComponentTransfer", {
+    in: "specular_layer",
+    result: "specular_faded",
+  });
+  specularFade.append(specularAlpha);
+
+  const screenChain = [
+    specularFade,
+    createSvgElement("feBlend", {
+      in: "specular_faded",
+      in2: "displaced_saturated",
+      mode: "screen",
+    }),
+  ];
+  const saturatedChain = [
+    createSvgElement("feComposite", {
+      in: "displaced_saturated",
+      in2: "specular_layer",
+      operator: "in",
+      result: "specular_saturated",
+    }),
+    specularFade,
+    createSvgElement("feBlend", {
+      in: "specular_saturated",
+      in2: "displaced",
+      mode: "normal",
+      result: "with_saturation",
+    }),
+    createSvgElement("feBlend", {
+      in: "specular_faded",
+      in2: "with_saturation",
+      mode: "normal",
+    }),
+  ];
+
+  const clipPath = createSvgElement("clipPath", { id: `${id}-clip` });
+  const clipOutline = createSvgElement("path");
+  clipPath.append(clipOutline);
+
+  defs.append(filter, clipPath);
+  svg.append(defs);
+  element.append(svg);
+
+  const filterUrl = `url(#${id}-filter)`;
+  element.style.setProperty("--liquid-glass-filter", filterUrl);
+
+  // Dispersion: displace the source once per channel, isolate each channel
+  // and screen them back together (the channels don't overlap, so screen
+  // is a plain sum)
+  const dispersionChannels = Object.entries(CHANNEL_MATRICES).map(
+    ([channel, matrix]) => ({
+      channel,
+      image: createSvgElement("feImage", {
+        x: 0,
+        y: 0,
+        result: `displacement_map_${channel}`,
+        preserveAspectRatio: "none",
+      }),
+      map: createSvgElement("feDisplacementMap", {
+        in: "blurred",
+        in2: `displacement_map_${channel}`,
+        xChannelSelector: "R",
+        yChannelSelector: "G",
+        result: `displaced_${channel}`,
+      }),
+      isolate: createSvgElement("feColorMatrix", {
+        in: `displaced_${channel}`,
+        type: "matrix",
+        values: matrix,
+        result: `channel_${channel}`,
+      }),
+    }),
+  );
+  const dispersionChain = [
+    ...dispersionChannels.map(({ image }) => image),
+    ...dispersionChannels.flatMap(({ map, isolate }) => [map, isolate]),
+    createSvgElement("feBlend", {
+      in: "channel_red",
+      in2: "channel_green",
+      mode: "screen",
+      result: "channel_red_green",
+    }),
+    createSvgElement("feBlend", {
+      in: "channel_red_green",
+      in2: "channel_blue",
+      mode: "screen",
+      result: "displaced",
+    }),
+  ];
+
+  function assembleFilter() {
+    filter.replaceChildren(
+      blur,
+      ...(config.dispersion
+        ? dispersionChain
+        : [displacementImage, displacementMap]),
+      saturate,
+      specularImage,
+      ...(config.specularSaturation == null ? screenChain : saturatedChain),
+    );
+  }
+
+  // The shape is cheap and built right away, so invalid options throw here.
+  // Maps come from the cache, or are rendered by the worker when available
+  // (the 1D profiles, and with them the displacement scale, are computed
+  // here first).
+  function generateMaps() {
+    const { width, height } = config;
+    // Validate everything before changing any state
+    const nextShape = createShape(getShapeOptions(config));
+    if (!Object.hasOwn(SurfaceEquations, config.surface)) {
+      throw new Error(`Unknown surface: ${config.surface}`);
+    }
+    const nextSurfaceFn = SurfaceEquations[config.surface];
+    const key = getMapsKey(config, getSurfaceId(nextSurfaceFn));
+    shape = nextShape;
+    surfaceFn = nextSurfaceFn;
+
+    // Until new maps arrive the current ones are stretched to the new size
+    [
+      displacementImage,
+      specularImage,
+      ...dispersionChannels.map(({ image }) => image),
+    ].forEach((image) => {
+      image.setAttribute("width", width);
+      image.setAttribute("height", height);
+    });
+    clipOutline.setAttribute("d", shape.pathData);
+    normalMap = null;
+
+    // Any request still in the worker is now outdated
+    requestCount++;
+    latestKey = key;
+    const cached = mapCache.get(latestKey);
+    if (cached) {
+      // Move to the most recently used end
+      mapCache.delete(latestKey);
+      mapCache.set(latestKey, cached);
+      maximumDisplacement = cached.maximumDisplacement;
+      mapsRequestTime = performance.now();
+      applyMaps(cached, "cache");
+      return Promise.resolve();
+    }
+
+    mapsRequestTime = performance.now();
+    const { profiles, maximumDisplacement: maximum } = calculateGlassProfiles(
+      config,
+      surfaceFn,
+    );
+    maximumDisplacement = maximum;
+    latestRequest = {
+      glassId: id,
+      requestId: requestCount,
+      shape: getMapShapeOptions(config),
+      bezelWidth: getMapBezelWidth(config),
+      specular: getSpecularOptions(config, surfaceFn),
+      profiles,
+      maximumDisplacement,
+      precision: config.displacementPrecision,
+    };
+
+    const worker = config.useWorker && getMapWorker();
+    if (!worker) {
+      applyMaps(renderGlassMaps(latestRequest), "main");
+      return Promise.resolve();
+    }
+    worker.postMessage(latestRequest);
+    const ready = new Promise((resolve, reject) =>
+      pendingMaps.push({ resolve, reject }),
+    );
+    // Only callers waiting for the maps need to handle failures
+    ready.catch(() => {});
+    return ready;
+  }
+
+  // Results of outdated requests are ignored
+  function handleWorkerResult(result) {
+    if (!result) {
+      // Worker failed: render the outstanding request here instead
+      if (pendingMaps.length) renderOnMainThread();
+      return;
+    }
+    if (result.requestId !== requestCount) return;
+    if (result.error) {
+      // e.g. OffscreenCanvas encoding failed: try again here
+      console.warn("Map worker failed, rendering here:", result.error);
+      renderOnMainThread();
+      return;
+    }
+    applyMaps(result, "worker");
+  }
+
+  // If this fails too the waiting update() promises are rejected
+  function renderOnMainThread() {
+    try {
+      applyMaps(renderGlassMaps(latestRequest), "main");
+    } catch (error) {
+      settlePendingMaps(error);
+    }
+  }
+
+  function settlePendingMaps(error) {
+    pendingMaps.forEach(({ resolve, reject }) =>
+      error ? reject(error) : resolve(),
+    );
+    pendingMaps = [];
+  }
+
+  // Apply maps for the latest key and cache them. Without data URLs from
+  // the worker the buffers are encoded here.
+  function applyMaps(
+    { displacementMaps, preciseDisplacementMaps, specular, urls },
+    source,
+  ) {
+    urls ??= {
+      displacementMaps: Object.fromEntries(
+        Object.entries(displacementMaps).map(([channel, buffer]) => [
+          channel,
+          bufferToDataURL(buffer),
+        ]),
+      ),
+      specular: bufferToDataURL(specular),
+    };
+    displacementData = displacementMaps.green;
+    specularData = specular;
+
+    if (urls.displacementMaps.red) {
+      dispersionChannels.forEach(({ channel, image }) =>
+        image.setAttribute("href", urls.displacementMaps[channel]),
+      );
+    } else {
+      displacementImage.setAttribute("href", urls.displacementMaps.green);
+    }
+    specularImage.setAttribute("href", urls.specular);
+    appliedMaps = { displacementMaps, preciseDisplacementMaps, specular, urls };
+    mapTiming = { source, duration: performance.now() - mapsRequestTime };
+    if (lightAngle !== null) applyLightAngle();
+
+    if (!mapCache.has(latestKey)) {
+      mapCache.set(latestKey, {
+        displacementMaps,
+        preciseDisplacementMaps,
+        specular,
+        urls,
+        maximumDisplacement,
+      });
+      if (mapCache.size > MAP_CACHE_SIZE) {
+        mapCache.delete(mapCache.keys().next().value);
+      }
+    }
+
+    settlePendingMaps();
+  }
+
+  // Re-shade the specular map with the lights turned so the first one
+  // points at lightAngle
+  function applyLightAngle() {
+    normalMap ??= calculateNormalMap(
+      createShape(getMapShapeOptions(config)),
+      getMapBezelWidth(config),
+      getSpecularOptions(config, surfaceFn),
+    );
+    const lights = getLights(config);
+    const offset = lightAngle - lights[0].angle;
+    specularData = shadeNormalMap(
+      normalMap,
+      lights.map((light) => ({ ...light, angle: light.angle + offset })),
+      config,
+    );
+    specularImage.setAttribute("href", bufferToDataURL(specularData));
+  }
+
+  function applyAttributes() {
+    blur.setAttribute("stdDeviation", config.blur);
+    specularAlpha.setAttribute("slope", config.specularOpacity);
+    saturate.setAttribute(
+      "values",
+      config.specularSaturation == null
+        ? config.saturation
+        : config.specularSaturation,
+    );
+    applyScale();
+  }
+
+  function applyScale() {
+    const scale = maximumDisplacement * scaleRatio;
+    displacementMap.setAttribute("scale", scale);
+    dispersionChannels.forEach(({ map }) => map.setAttribute("scale", scale));
+  }
+
+  mapWorkerHandlers.set(id, handleWorkerResult);
+  assembleFilter();
+  let mapsReady = generateMaps();
+  applyAttributes();
+
+  return {
+    filterId: `${id}-filter`,
+    filterUrl,
+    clipId: `${id}-clip`,
+    clipUrl: `url(#${id}-clip)`,
+    get options() {
+      return { ...config };
+    },
+    get maximumDisplacement() {
+      return maximumDisplacement;
+    },
+    get displacementData() {
+      return displacementData;
+    },
+    get specularData() {
+      return specularData;
+    },
+    // Displacement buffers by channel: only `green` without dispersion
+    get displacementMaps() {
+      return appliedMaps?.displacementMaps ?? null;
+    },
+    // 16-bit counterparts of displacementMaps, with displacementPrecision
+    // 16 (see calculateDisplacementMap2D())
+    get preciseDisplacementMaps() {
+      return appliedMaps?.preciseDisplacementMaps ?? null;
+    },
+    // Where the latest maps came from and how long they took
+    get mapTiming() {
+      return mapTiming;
+    },
+    // Displacement as a ratio of the maximum, see setScale()
+    get scaleRatio() {
+      return scaleRatio;
+    },
+    get shape() {
+      return shape;
+    },
+    // Resolves once the maps for the latest options are applied
+    get ready() {
+      return mapsReady;
+    },
+
+    update(newOptions = {}) {
+      // A surface re-registered in SurfaceEquations under the same name
+      // (e.g. an edited custom profile) also needs new maps
+      const needsMaps =
+        LIQUID_GLASS_MAP_OPTIONS.some(
+          (key) =>
+            key in newOptions && !isSameOption(newOptions[key], config[key]),
+        ) ||
+        SurfaceEquations[newOptions.surface ?? config.surface] !== surfaceFn;
+      const needsChain =
+        ("specularSaturation" in newOptions &&
+          (newOptions.specularSaturation == null) !==
+            (config.specularSaturation == null)) ||
+        ("dispersion" in newOptions &&
+          Boolean(newOptions.dispersion) !== Boolean(config.dispersion));
+
+      const previous = { ...config };
+      Object.assign(config, newOptions);
+      copyLights();
+      if (needsMaps) {
+        // Invalid options (e.g. bad path data) leave the glass unchanged
+        try {
+          mapsReady = generateMaps();
+        } catch (error) {
+          Object.assign(config, previous);
+          throw error;
+        }
+      }
+      if ("refractionScale" in newOptions) {
+        scaleRatio = config.refractionScale;
+      }
+
+      if (needsChain) assembleFilter();
+      applyAttributes();
+      return mapsReady;
+    },
+
+    // Standalone SVG with this filter and its clip path, renamed to `id`.
+    // Maps are inlined as data URLs and the configured refraction scale is
+    // filled in (setScale() animations are not exported).
+    toSVG(exportId = "liquid-glass") {
+      const exportedFilter = filter.cloneNode(true);
+      exportedFilter.setAttribute("id", exportId);
+      exportedFilter
+        .querySelectorAll("feDisplacementMap")
+        .forEach((map) =>
+          map.setAttribute(
+            "scale",
+            maximumDisplacement * config.refractionScale,
+          ),
+        );
+      const exportedClip = clipPath.cloneNode(true);
+      exportedClip.setAttribute("id", `${exportId}-clip`);
+
+      const exportedSvg = createSvgElement("svg", {
+        width: 0,
+        height: 0,
+        style: "position: absolute",
+        "aria-hidden": "true",
+      });
+      const exportedDefs = createSvgElement("defs");
+      exportedDefs.append(exportedFilter, exportedClip);
+      exportedSvg.append(exportedDefs);
+      return new XMLSerializer()
+        .serializeToString(exportedSvg)
+        .replaceAll("><", ">\n<");
+    },
+
+    // CSS for a `.${id}` element using the filter from toSVG(id), either
+    // as a backdrop-filter or on a clone of the content behind the glass
+    toCSS({ id: exportId = "liquid-glass", variant = "backdrop" } = {}) {
+      const rule = (selector, declarations) =>
+        `${selector} {\n${declarations.map((d) => `  ${d};`).join("\n")}\n}`;
+      const box = [
+        `width: ${config.width}px`,
+        `height: ${config.height}px`,
+        shape.type === "rounded_rect"
+          ? `border-radius: ${shape.radius}px`
+          : `clip-path: url(#${exportId}-clip)`,
+      ];
+
+      if (variant === "backdrop") {
+        return rule(`.${exportId}`, [
+          ...box,
+          `backdrop-filter: url(#${exportId})`,
+          `-webkit-backdrop-filter: url(#${exportId})`,
+        ]);
+      }
+      return [
+        "/* Put a copy of the content behind the glass inside it and keep it",
+        "   aligned, e.g. by translating it against the glass position */",
+        rule(`.${exportId}`, [
+          "position: relative",
+          "overflow: hidden",
+          ...box,
+        ]),
+        rule(`.${exportId}-clone`, [
+          "position: absolute",
+          "inset: 0",
+          `filter: url(#${exportId})`,
+        ]),
+      ].join("\n");
+    },
+
+    // Point the lights at `angle` (radians, y up) without regenerating the
+    // maps, e.g. to follow the pointer. Other lights keep their offset from
+    // the first one. null restores the configured lights.
+    setLightAngle(angle) {
+      lightAngle = angle;
+      if (angle !== null) {
+        applyLightAngle();
+      } else if (appliedMaps) {
+        specularData = appliedMaps.specular;
+        specularImage.setAttribute("href", appliedMaps.urls.specular);
+      }
+    },
+
+    // Scale the displacement as a ratio of the maximum displacement
+    setScale(ratio) {
+      scaleRatio = ratio;
+      applyScale();
+    },
+
+    destroy() {
+      mapWorkerHandlers.delete(id);
+      settlePendingMaps(new Error("Liquid glass destroyed"));
+      svg.remove();
+      element.style.removeProperty("--liquid-glass-filter");
+    },
+  };
+}
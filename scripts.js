@@ -1,61 +1,88 @@
-// Surface equations - define the height profile of the glass bezel
-const SurfaceEquations = {
-  convex_circle: (x) => Math.sqrt(1 - Math.pow(1 - x, 2)),
-  convex_squircle: (x) => Math.pow(1 - Math.pow(1 - x, 4), 1 / 4),
-  concave: (x) => 1 - Math.sqrt(1 - Math.pow(x, 2)),
-  lip: (x) => {
-    const convex = Math.pow(1 - Math.pow(1 - Math.min(x * 2, 1), 4), 1 / 4);
-    const concave = 1 - Math.sqrt(1 - Math.pow(1 - x, 2)) + 0.1;
-    const smootherstep =
-      6 * Math.pow(x, 5) - 15 * Math.pow(x, 4) + 10 * Math.pow(x, 3);
-    return convex * (1 - smootherstep) + concave * smootherstep;
-  },
-};
-
-// Simple spring physics class
-class Spring {
-  constructor(value, stiffness = 300, damping = 20) {
-    this.value = value;
-    this.target = value;
-    this.velocity = 0;
-    this.stiffness = stiffness;
-    this.damping = damping;
-  }
-
-  setTarget(target) {
-    this.target = target;
-  }
-
-  update(dt) {
-    const force = (this.target - this.value) * this.stiffness;
-    const dampingForce = this.velocity * this.damping;
-    this.velocity += (force - dampingForce) * dt;
-    this.value += this.velocity * dt;
-    return this.value;
-  }
-
-  isSettled() {
-    return (
-      Math.abs(this.target - this.value) < 0.001 &&
-      Math.abs(this.velocity) < 0.001
-    );
-  }
-}
+import {
+  MaterialPresets,
+  Spring,
+  SurfaceEquations,
+  calculateDisplacementMap1D,
+  calculateDisplacementMap2D,
+  createBezierSurface,
+  createExpressionSurface,
+  createImageBuffer,
+  displaceImage,
+  findTotalInternalReflection,
+  reduceDisplacementPrecision,
+} from "./glass-math.js";
+import { calculateGlassProfiles, getShapeOptions } from "./glass-maps.js";
+import {
+  BuiltInPresets,
+  MIN_GLASS_HEIGHT,
+  MIN_GLASS_WIDTH,
+  createPreset,
+  decodePreset,
+  encodePreset,
+  parsePreset,
+} from "./glass-presets.js";
+import { createShape } from "./glass-shapes.js";
+import { createContentMirror, getBackdropOffset } from "./content-mirror.js";
+import {
+  createLiquidGlass,
+  probeBackdropFilter,
+  toImageData,
+} from "./liquid-glass.js";
+import {
+  captureBackdrop,
+  createWebGLGlass,
+  getBackdropCaptureProblem,
+  getWebGL2Problem,
+} from "./liquid-glass-webgl.js";
+import "./liquid-glass-element.js";
 
 // State
 const state = {
   surfaceType: "convex_squircle",
+  shape: "rounded_rect",
+  superellipseExponent: 4,
+  path: document.getElementById("shapePath").value,
   bezelWidth: 30,
   glassThickness: 150,
   refractiveIndex: 1.5,
+  dispersion: false,
+  abbeNumber: 58.6,
+  dispersionStrength: 4,
   refractionScale: 1.5,
   specularOpacity: 1,
+  specularModel: "rim",
+  shininess: 40,
+  // Angles are measured with y pointing up
+  lights: [{ angle: Math.PI / 3, color: "#ffffff" }],
+  selectedLight: 0,
+  // "off", "pointer" or "tilt"
+  reactiveLight: "off",
+  // "css" only stretches the outline, "axis" and "directional" also deform
+  // the maps, along the axes or along the motion
+  squashMode: "css",
+  // Motion direction for directional stretching (radians, y down)
+  stretchAngle: 0,
+  // Deformation the maps were last requested for
+  deformation: null,
+  // Throw after release: velocity decay per second, edge/snap spring bounce
+  friction: 3,
+  bounciness: 0.5,
+  // "off", "corners" or "content"
+  snapMode: "off",
+  // Per-axis motion while thrown, see startThrow()
+  throw: null,
   blur: 0.5,
+  // "backdrop" or "clone" CSS in the export panel
+  exportVariant: "backdrop",
   objectWidth: 200,
   objectHeight: 140,
   radius: 70,
   maximumDisplacement: 0,
   isDragging: false,
+  // Active resize: handle edges plus the pointer and box at its start
+  resize: null,
+  // Active pinch: pointer distance and box at its start
+  pinch: null,
   dragOffset: {
     x: 0,
     y: 0,
@@ -72,6 +99,8 @@ const springs = {
   scale: new Spring(0.85, 400, 25),
   scaleX: new Spring(1, 400, 30),
   scaleY: new Spring(1, 400, 30),
+  // Directional stretch amount along state.stretchAngle
+  stretch: new Spring(0, 400, 30),
   shadowOffsetX: new Spring(0, 400, 30),
   shadowOffsetY: new Spring(4, 400, 30),
   shadowBlur: new Spring(12, 400, 30),
@@ -86,131 +115,306 @@ const glassElement = document.getElementById("glassElement");
 const glassInner = document.getElementById("glassInner");
 const demoArea = document.getElementById("demoArea");
 const demoContent = document.getElementById("demoContent");
-const glassFilterSvg = document.getElementById("glassFilterSvg");
 const glassContentClone = document.getElementById("glassContentClone");
 const demoContentInner = document.getElementById("demoContentInner");
 const displacementPreview = document.getElementById("displacementPreview");
 const specularPreview = document.getElementById("specularPreview");
 
-// Feature detection for backdrop-filter with SVG
+// ===== RENDER MODES =====
+// The main glass renders with one of three backends, in order of
+// preference:
+// - "backdrop": the SVG filter as a native backdrop-filter (Chromium)
+// - "clone": the SVG filter on a live copy of the content
+// - "webgl": a shader over a captured image of the demo area. Only used
+//   when picked: the clone stays live, and the capture doesn't work where
+//   the clone doesn't (WebKit taints it).
+// A mode that isn't available falls back to the most preferred one that
+// is. The small demos use backdrop-filter when it's active and their
+// clones otherwise.
+const RENDER_MODES = ["backdrop", "clone", "webgl"];
+
+const RENDER_MODE_LABELS = {
+  backdrop: "backdrop-filter",
+  webgl: "WebGL2",
+  clone: "clone fallback",
+};
+
+let renderMode = "clone";
 let useBackdropFilter = false;
 let backdropFilterSupported = false;
-
-function detectBackdropFilterSupport() {
-  // Check if browser supports backdrop-filter with SVG url()
-  // This is currently only Chrome/Chromium
+// How backdropFilterSupported was decided: "probe" or "heuristic"
+let backdropFilterDetection = null;
+// Modes skipped on the way to the active one: [{ mode, problem }]
+let renderModeFallbacks = [];
+let renderModeRequest = 0;
+// Why captureBackdrop() doesn't work here, checked on the first switch to
+// WebGL: undefined until then
+let backdropCaptureProblem;
+
+const glassCanvas = document.getElementById("glassCanvas");
+let webglGlass = null;
+let webglFrameId = null;
+
+// Render a known displacement through backdrop-filter and read it back.
+// A probe that sees no displacement isn't conclusive: an engine may render
+// backdrop filters on the page but not in the SVG image the probe draws.
+// Then guess from what the browser parses, limited to Chromium where it
+// is known to render.
+async function detectBackdropFilterSupport() {
+  if (await probeBackdropFilter()) {
+    backdropFilterSupported = true;
+    backdropFilterDetection = "probe";
+    return;
+  }
   const isChromium = !!window.chrome;
   const testEl = document.createElement("div");
   testEl.style.backdropFilter = "url(#test)";
   const supportsBackdropFilterUrl = testEl.style.backdropFilter.includes("url");
 
   backdropFilterSupported = isChromium && supportsBackdropFilterUrl;
-  useBackdropFilter = backdropFilterSupported;
+  backdropFilterDetection = "heuristic";
+}
 
-  // Update UI
-  updateModeUI();
+// Why `mode` can't be used, or null when it can
+function getRenderModeProblem(mode) {
+  if (mode === "backdrop" && !backdropFilterSupported) {
+    return "<code>backdrop-filter: url()</code> is only supported by Chromium-based browsers";
+  }
+  if (mode === "webgl") return getWebGL2Problem() ?? backdropCaptureProblem;
+  return null;
+}
+
+// Switch to `requested`, or the most preferred available mode
+async function setRenderMode(requested, fallbacks = []) {
+  const request = ++renderModeRequest;
+  const modes = [
+    requested,
+    ...RENDER_MODES.filter(
+      (mode) =>
+        mode !== requested &&
+        !fallbacks.some((fallback) => fallback.mode === mode),
+    ),
+  ];
+  for (const mode of modes) {
+    let problem = getRenderModeProblem(mode);
+    if (!problem && mode === "webgl") problem = await startWebGL();
+    // Another mode was picked in the meantime
+    if (request !== renderModeRequest) return;
+    if (!problem) {
+      applyRenderMode(mode, fallbacks);
+      return;
+    }
+    fallbacks = [...fallbacks, { mode, problem }];
+  }
+}
 
-  if (useBackdropFilter) {
-    glassElement.classList.add("use-backdrop-filter");
-    console.log("Using native backdrop-filter (better performance)");
+function applyRenderMode(mode, fallbacks) {
+  renderMode = mode;
+  renderModeFallbacks = fallbacks;
+  useBackdropFilter = mode === "backdrop";
+
+  glassElement.classList.toggle("use-backdrop-filter", mode === "backdrop");
+  glassElement.classList.toggle("use-webgl", mode === "webgl");
+  // The clone is only filtered in clone mode
+  glassContentClone.style.filter =
+    mode === "clone" ? mainGlass.filterUrl : "none";
+  if (mode === "clone") updateContentClonePosition(true);
+  if (mode === "webgl") {
+    renderWebGL();
   } else {
-    console.log("Using cloned content fallback (cross-browser)");
+    // Only the WebGL backend reads the 16-bit maps (see startWebGL())
+    mainGlass.update({ displacementPrecision: 8 });
   }
+
+  setSheetRenderMode();
+  setScrollRenderMode();
+  updateModeUI();
+  console.log(`Using ${RENDER_MODE_LABELS[mode]} rendering`);
 }
 
+const RENDER_MODE_NOTICES = {
+  backdrop: {
+    icon: "⚡",
+    text:
+      "<strong>Using native backdrop-filter:</strong> " +
+      "Your browser supports <code>backdrop-filter</code> with SVG filters. " +
+      "This provides the best performance via GPU compositing.",
+    background:
+      "linear-gradient(135deg, rgba(72, 187, 120, 0.1), rgba(56, 161, 105, 0.1))",
+    borderColor: "rgba(72, 187, 120, 0.3)",
+  },
+  webgl: {
+    icon: "🧊",
+    text:
+      "<strong>Using WebGL2:</strong> " +
+      "A shader refracts a captured image of the demo area through the same " +
+      "displacement and specular maps. The image is re-captured when the " +
+      "content changes. Safari taints captured images, so this backend " +
+      "doesn't help there.",
+    background:
+      "linear-gradient(135deg, rgba(66, 153, 225, 0.1), rgba(49, 130, 206, 0.1))",
+    borderColor: "rgba(66, 153, 225, 0.3)",
+  },
+  clone: {
+    icon: "✨",
+    text:
+      "<strong>Cross-browser compatible:</strong> " +
+      "This demo uses SVG filters with the regular <code>filter</code> property " +
+      "on a copy of the content instead of <code>backdrop-filter</code>, " +
+      "making it work in Firefox and Chrome.",
+    background:
+      "linear-gradient(135deg, rgba(102, 126, 234, 0.1), rgba(118, 75, 162, 0.1))",
+    borderColor: "rgba(102, 126, 234, 0.3)",
+  },
+};
+
 function updateModeUI() {
-  const modeToggle = document.getElementById("modeToggle");
-  const modeValue = document.getElementById("modeValue");
-  const modeUnsupported = document.getElementById("modeUnsupported");
   const browserNotice = document.getElementById("browserNotice");
   const noticeIcon = document.getElementById("noticeIcon");
   const noticeText = document.getElementById("noticeText");
 
-  if (useBackdropFilter) {
-    modeToggle.classList.add("active");
-    modeValue.textContent = "Backdrop-filter";
-  } else {
-    modeToggle.classList.remove("active");
-    modeValue.textContent = "Clone (Fallback)";
-  }
-
-  // Show warning if backdrop-filter not supported but toggle is on
-  if (!backdropFilterSupported) {
-    modeUnsupported.style.display = useBackdropFilter ? "inline" : "none";
-  }
+  document
+    .querySelectorAll("#renderModeSelector .surface-btn")
+    .forEach((btn) => {
+      const mode = btn.dataset.renderMode;
+      btn.classList.toggle("active", mode === renderMode);
+      const problem = getRenderModeProblem(mode);
+      btn.classList.toggle("unavailable", Boolean(problem));
+      btn.title = problem ? toPlainText(problem) : "";
+    });
 
   // Show/hide mode notice for clone mode
   const modeNoticeRow = document.getElementById("modeNoticeRow");
   if (modeNoticeRow) {
-    modeNoticeRow.style.display = useBackdropFilter ? "none" : "flex";
-  }
-
-  // Update browser notice dynamically
-  if (useBackdropFilter) {
-    if (backdropFilterSupported) {
-      noticeIcon.textContent = "⚡";
-      noticeText.innerHTML =
-        "<strong>Using native backdrop-filter:</strong> " +
-        "Your browser supports <code>backdrop-filter</code> with SVG filters. " +
-        "This provides the best performance via GPU compositing.";
-      browserNotice.style.background =
-        "linear-gradient(135deg, rgba(72, 187, 120, 0.1), rgba(56, 161, 105, 0.1))";
-      browserNotice.style.borderColor = "rgba(72, 187, 120, 0.3)";
-    } else {
-      noticeIcon.textContent = "⚠️";
-      noticeText.innerHTML =
-        "<strong>Backdrop-filter not supported:</strong> " +
-        "Your browser doesn't support <code>backdrop-filter</code> with SVG filters. " +
-        "The effect won't render correctly. Switch to Clone mode for proper display.";
-      browserNotice.style.background =
-        "linear-gradient(135deg, rgba(245, 101, 101, 0.1), rgba(229, 62, 62, 0.1))";
-      browserNotice.style.borderColor = "rgba(245, 101, 101, 0.3)";
-    }
-  } else {
-    noticeIcon.textContent = "✨";
-    noticeText.innerHTML =
-      "<strong>Cross-browser compatible:</strong> " +
-      "This demo uses SVG filters with the regular <code>filter</code> property " +
-      "instead of <code>backdrop-filter</code>, making it work in Firefox and Chrome. (Pardon me, Safari is broken for whatever reasons)";
-    browserNotice.style.background =
-      "linear-gradient(135deg, rgba(102, 126, 234, 0.1), rgba(118, 75, 162, 0.1))";
-    browserNotice.style.borderColor = "rgba(102, 126, 234, 0.3)";
+    modeNoticeRow.style.display = renderMode === "clone" ? "flex" : "none";
   }
-}
 
-function toggleRenderMode() {
-  useBackdropFilter = !useBackdropFilter;
+  // Which backend is active, and why the preferred ones are not
+  const notice = RENDER_MODE_NOTICES[renderMode];
+  noticeIcon.textContent = notice.icon;
+  noticeText.innerHTML =
+    notice.text +
+    renderModeFallbacks
+      .map(
+        ({ mode, problem }) =>
+          `<br />Not using ${RENDER_MODE_LABELS[mode]}: ${problem}.`,
+      )
+      .join("");
+  browserNotice.style.background = notice.background;
+  browserNotice.style.borderColor = notice.borderColor;
+}
 
-  if (useBackdropFilter) {
-    glassElement.classList.add("use-backdrop-filter");
-    // Clear the clone filter when using backdrop
-    glassContentClone.style.filter = "none";
-  } else {
-    glassElement.classList.remove("use-backdrop-filter");
-    // Re-apply filter to clone
-    glassContentClone.style.filter = "url(#liquidGlassFilter)";
-    updateContentClonePosition(true);
+// Create the WebGL renderer on first use and capture the backdrop.
+// Returns why it failed, or null.
+async function startWebGL() {
+  if (backdropCaptureProblem === undefined) {
+    backdropCaptureProblem = await getBackdropCaptureProblem();
   }
+  if (backdropCaptureProblem) return backdropCaptureProblem;
+  try {
+    webglGlass ??= createWebGLGlass(mainGlass, glassCanvas);
+    // The shader decodes 16-bit maps, which don't band on thick glass
+    await mainGlass.update({ displacementPrecision: 16 });
+    await captureMainBackdrop();
+    return null;
+  } catch (error) {
+    return `the WebGL backend failed (${error.message})`;
+  }
+}
 
-  updateModeUI();
-  console.log(
-    useBackdropFilter
-      ? "Switched to backdrop-filter mode"
-      : "Switched to clone fallback mode",
+async function captureMainBackdrop() {
+  const backdrop = await captureBackdrop(demoArea, {
+    exclude: (element) =>
+      element === glassElement || element === glassResizeFrame,
+  });
+  webglGlass.setBackdrop(backdrop, demoArea.offsetWidth, demoArea.offsetHeight);
+}
+
+// Draw the glass at its current position, size and transform, once per
+// frame
+function renderWebGL() {
+  if (renderMode !== "webgl" || webglFrameId) return;
+  webglFrameId = requestAnimationFrame(() => {
+    webglFrameId = null;
+    const left = parseFloat(glassElement.style.left) || 0;
+    const top = parseFloat(glassElement.style.top) || 0;
+    webglGlass.render({
+      center: {
+        x: demoArea.clientLeft + left + state.objectWidth / 2,
+        y: demoArea.clientTop + top + state.objectHeight / 2,
+      },
+      transform: new DOMMatrix(glassElement.style.transform || "none"),
+    });
+  });
+}
+
+// Notices and problems carry markup
+function toPlainText(html) {
+  return html.replace(/<[^>]+>/g, "");
+}
+
+function initRenderModes() {
+  document
+    .querySelectorAll("#renderModeSelector .surface-btn")
+    .forEach((btn) => {
+      btn.addEventListener("click", () =>
+        setRenderMode(btn.dataset.renderMode),
+      );
+    });
+
+  // Re-capture after content, size or colour scheme changes. A capture
+  // that fails from then on (e.g. a cross-origin image) falls back to the
+  // clone.
+  const recaptureMainBackdrop = debounce(
+    () => {
+      if (renderMode !== "webgl") return;
+      captureMainBackdrop()
+        .then(renderWebGL)
+        .catch((error) => {
+          if (renderMode !== "webgl") return;
+          setRenderMode("clone", [
+            ...renderModeFallbacks,
+            {
+              mode: "webgl",
+              problem: `capturing the backdrop failed (${error.message})`,
+            },
+          ]);
+        });
+    },
+    100,
+    500,
   );
+  new MutationObserver(recaptureMainBackdrop).observe(demoContent, {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    characterData: true,
+  });
+  // Images finishing loading
+  demoContent.addEventListener("load", recaptureMainBackdrop, true);
+  new ResizeObserver(recaptureMainBackdrop).observe(demoArea);
+  window
+    .matchMedia("(prefers-color-scheme: dark)")
+    .addEventListener("change", recaptureMainBackdrop);
+
+  glassCanvas.addEventListener("webglcontextlost", () => {
+    if (renderMode !== "webgl") return;
+    setRenderMode("clone", [
+      ...renderModeFallbacks,
+      { mode: "webgl", problem: "the WebGL context was lost" },
+    ]);
+  });
+
+  detectBackdropFilterSupport().then(() => setRenderMode("backdrop"));
 }
 
-// Cached dimensions to avoid repeated getBoundingClientRect calls
+// Cached demo area rect to avoid repeated getBoundingClientRect calls.
+// It's in viewport coordinates, so it is dropped whenever anything scrolls
+// (the page or any element) or the layout resizes.
 let cachedAreaRect = null;
-let lastAreaRectUpdate = 0;
-const RECT_CACHE_DURATION = 100; // ms
 
 function getAreaRect() {
-  const now = performance.now();
-  if (!cachedAreaRect || now - lastAreaRectUpdate > RECT_CACHE_DURATION) {
-    cachedAreaRect = demoArea.getBoundingClientRect();
-    lastAreaRectUpdate = now;
-  }
+  cachedAreaRect ??= demoArea.getBoundingClientRect();
   return cachedAreaRect;
 }
 
@@ -221,6 +425,11 @@ let pendingPositionUpdate = false;
 
 // Update the position of the cloned content inside the glass
 function updateContentClonePosition(force = false) {
+  // WebGL draws the glass where it is instead
+  if (renderMode === "webgl") {
+    renderWebGL();
+    return;
+  }
   // Skip if using backdrop-filter
   if (useBackdropFilter) return;
 
@@ -249,307 +458,289 @@ function updateContentClonePosition(force = false) {
 
   // Apply the SVG filter to the cloned content (only once)
   if (!glassContentClone.style.filter) {
-    glassContentClone.style.filter = "url(#liquidGlassFilter)";
+    glassContentClone.style.filter = mainGlass.filterUrl;
   }
 }
 
-// Invalidate rect cache on resize
-window.addEventListener("resize", () => {
+// Scroll doesn't bubble, so listen in the capture phase to see all of it
+window.addEventListener(
+  "scroll",
+  () => {
+    cachedAreaRect = null;
+  },
+  { capture: true, passive: true },
+);
+
+// The area resizing, or moving because the page around it did
+const areaResizeObserver = new ResizeObserver(() => {
   cachedAreaRect = null;
   updateContentClonePosition(true);
 });
+areaResizeObserver.observe(demoArea);
+areaResizeObserver.observe(document.documentElement);
 
-// Calculate displacement along a single radius using Snell's Law
-function calculateDisplacementMap1D(
-  glassThickness,
-  bezelWidth,
-  surfaceFn,
-  refractiveIndex,
-  samples = 128,
-) {
-  const eta = 1 / refractiveIndex;
-
-  function refract(normalX, normalY) {
-    const dot = normalY;
-    const k = 1 - eta * eta * (1 - dot * dot);
-    if (k < 0) return null;
-    const kSqrt = Math.sqrt(k);
-    return [
-      -(eta * dot + kSqrt) * normalX,
-      eta - (eta * dot + kSqrt) * normalY,
-    ];
-  }
+let mainGlass = null;
 
-  const result = [];
-  for (let i = 0; i < samples; i++) {
-    const x = i / samples;
-    const y = surfaceFn(x);
-    const dx = x < 1 ? 0.0001 : -0.0001;
-    const y2 = surfaceFn(Math.max(0, Math.min(1, x + dx)));
-    const derivative = (y2 - y) / dx;
-    const magnitude = Math.sqrt(derivative * derivative + 1);
-    const normal = [-derivative / magnitude, -1 / magnitude];
-    const refracted = refract(normal[0], normal[1]);
+// Update filter and previews
+function updateFilter() {
+  const mapsReady = mainGlass.update({
+    surface: state.surfaceType,
+    width: state.objectWidth,
+    height: state.objectHeight,
+    radius: state.radius,
+    shape: state.shape,
+    superellipseExponent: state.superellipseExponent,
+    path: state.path,
+    bezelWidth: state.bezelWidth,
+    glassThickness: state.glassThickness,
+    refractiveIndex: state.refractiveIndex,
+    dispersion: state.dispersion,
+    abbeNumber: state.abbeNumber,
+    dispersionStrength: state.dispersionStrength,
+    refractionScale: state.refractionScale,
+    specularOpacity: state.specularOpacity,
+    specularModel: state.specularModel,
+    shininess: state.shininess,
+    lights: state.lights,
+    blur: state.blur,
+  });
+  state.maximumDisplacement = mainGlass.maximumDisplacement;
+  updateRefractionInfo();
+  updateGlassOutline();
+  drawProfile();
+
+  mapsReady
+    .then(() => {
+      updateMapPreviews();
+      renderWebGL();
+    })
+    .catch((error) => console.warn("Glass maps failed:", error));
 
-    if (!refracted) {
-      result.push(0);
-    } else {
-      const remainingHeightOnBezel = y * bezelWidth;
-      const remainingHeight = remainingHeightOnBezel + glassThickness;
-      result.push(refracted[0] * (remainingHeight / refracted[1]));
-    }
-  }
-  return result;
+  // Update clone position after filter update
+  updateContentClonePosition();
 }
 
-// Calculate 2D displacement map
-function calculateDisplacementMap2D(
-  canvasWidth,
-  canvasHeight,
-  objectWidth,
-  objectHeight,
-  radius,
-  bezelWidth,
-  maximumDisplacement,
-  precomputedMap,
-) {
-  const imageData = new ImageData(canvasWidth, canvasHeight);
-
-  for (let i = 0; i < imageData.data.length; i += 4) {
-    imageData.data[i] = 128;
-    imageData.data[i + 1] = 128;
-    imageData.data[i + 2] = 0;
-    imageData.data[i + 3] = 255;
-  }
-
-  const radiusSquared = radius * radius;
-  const radiusPlusOneSquared = (radius + 1) * (radius + 1);
-  const radiusMinusBezelSquared = Math.max(
-    0,
-    (radius - bezelWidth) * (radius - bezelWidth),
-  );
-  const widthBetweenRadiuses = objectWidth - radius * 2;
-  const heightBetweenRadiuses = objectHeight - radius * 2;
-  const objectX = (canvasWidth - objectWidth) / 2;
-  const objectY = (canvasHeight - objectHeight) / 2;
-
-  for (let y1 = 0; y1 < objectHeight; y1++) {
-    for (let x1 = 0; x1 < objectWidth; x1++) {
-      const idx = ((objectY + y1) * canvasWidth + objectX + x1) * 4;
-      const isOnLeftSide = x1 < radius;
-      const isOnRightSide = x1 >= objectWidth - radius;
-      const isOnTopSide = y1 < radius;
-      const isOnBottomSide = y1 >= objectHeight - radius;
-
-      const x = isOnLeftSide
-        ? x1 - radius
-        : isOnRightSide
-          ? x1 - radius - widthBetweenRadiuses
-          : 0;
-      const y = isOnTopSide
-        ? y1 - radius
-        : isOnBottomSide
-          ? y1 - radius - heightBetweenRadiuses
-          : 0;
-
-      const distanceToCenterSquared = x * x + y * y;
-      const isInBezel =
-        distanceToCenterSquared <= radiusPlusOneSquared &&
-        distanceToCenterSquared >= radiusMinusBezelSquared;
-
-      if (isInBezel) {
-        const opacity =
-          distanceToCenterSquared < radiusSquared
-            ? 1
-            : 1 -
-              (Math.sqrt(distanceToCenterSquared) - Math.sqrt(radiusSquared)) /
-                (Math.sqrt(radiusPlusOneSquared) - Math.sqrt(radiusSquared));
-        const distanceFromCenter = Math.sqrt(distanceToCenterSquared);
-        const distanceFromSide = radius - distanceFromCenter;
-        const cos = distanceFromCenter > 0 ? x / distanceFromCenter : 0;
-        const sin = distanceFromCenter > 0 ? y / distanceFromCenter : 0;
-        const bezelRatio = Math.max(
-          0,
-          Math.min(1, distanceFromSide / bezelWidth),
-        );
-        const bezelIndex = Math.floor(bezelRatio * precomputedMap.length);
-        const distance =
-          precomputedMap[
-            Math.max(0, Math.min(bezelIndex, precomputedMap.length - 1))
-          ] || 0;
-        const dX =
-          maximumDisplacement > 0 ? (-cos * distance) / maximumDisplacement : 0;
-        const dY =
-          maximumDisplacement > 0 ? (-sin * distance) / maximumDisplacement : 0;
-
-        imageData.data[idx] = Math.max(
-          0,
-          Math.min(255, 128 + dX * 127 * opacity),
-        );
-        imageData.data[idx + 1] = Math.max(
-          0,
-          Math.min(255, 128 + dY * 127 * opacity),
-        );
-        imageData.data[idx + 2] = 0;
-        imageData.data[idx + 3] = 255;
-      }
+// Draw the generated maps once they arrive from the worker
+function updateMapPreviews() {
+  const { displacementData, specularData } = mainGlass;
+  [displacementPreview, specularPreview].forEach((canvas) => {
+    if (canvas.width !== displacementData.width) {
+      canvas.width = displacementData.width;
     }
-  }
-  return imageData;
-}
-
-// Calculate specular highlight
-function calculateSpecularHighlight(
-  objectWidth,
-  objectHeight,
-  radius,
-  bezelWidth,
-  specularAngle = Math.PI / 3,
-) {
-  const imageData = new ImageData(objectWidth, objectHeight);
-  const specularVector = [Math.cos(specularAngle), Math.sin(specularAngle)];
-  const specularThickness = 1.5;
-  const radiusSquared = radius * radius;
-  const radiusPlusOneSquared = (radius + 1) * (radius + 1);
-  const radiusMinusSpecularSquared = Math.max(
-    0,
-    (radius - specularThickness) * (radius - specularThickness),
-  );
-  const widthBetweenRadiuses = objectWidth - radius * 2;
-  const heightBetweenRadiuses = objectHeight - radius * 2;
-
-  for (let y1 = 0; y1 < objectHeight; y1++) {
-    for (let x1 = 0; x1 < objectWidth; x1++) {
-      const idx = (y1 * objectWidth + x1) * 4;
-      const isOnLeftSide = x1 < radius;
-      const isOnRightSide = x1 >= objectWidth - radius;
-      const isOnTopSide = y1 < radius;
-      const isOnBottomSide = y1 >= objectHeight - radius;
-
-      const x = isOnLeftSide
-        ? x1 - radius
-        : isOnRightSide
-          ? x1 - radius - widthBetweenRadiuses
-          : 0;
-      const y = isOnTopSide
-        ? y1 - radius
-        : isOnBottomSide
-          ? y1 - radius - heightBetweenRadiuses
-          : 0;
-
-      const distanceToCenterSquared = x * x + y * y;
-      const isNearEdge =
-        distanceToCenterSquared <= radiusPlusOneSquared &&
-        distanceToCenterSquared >= radiusMinusSpecularSquared;
-
-      if (isNearEdge) {
-        const distanceFromCenter = Math.sqrt(distanceToCenterSquared);
-        const distanceFromSide = radius - distanceFromCenter;
-        const opacity =
-          distanceToCenterSquared < radiusSquared
-            ? 1
-            : 1 -
-              (distanceFromCenter - Math.sqrt(radiusSquared)) /
-                (Math.sqrt(radiusPlusOneSquared) - Math.sqrt(radiusSquared));
-        const cos = distanceFromCenter > 0 ? x / distanceFromCenter : 0;
-        const sin = distanceFromCenter > 0 ? -y / distanceFromCenter : 0;
-        const dotProduct = Math.abs(
-          cos * specularVector[0] + sin * specularVector[1],
-        );
-        const edgeRatio = Math.max(
-          0,
-          Math.min(1, distanceFromSide / specularThickness),
-        );
-        const sharpFalloff = Math.sqrt(1 - (1 - edgeRatio) * (1 - edgeRatio));
-        const coefficient = dotProduct * sharpFalloff;
-        const color = Math.min(255, 255 * coefficient);
-        const finalOpacity = Math.min(255, color * coefficient * opacity);
-
-        imageData.data[idx] = color;
-        imageData.data[idx + 1] = color;
-        imageData.data[idx + 2] = color;
-        imageData.data[idx + 3] = finalOpacity;
-      }
+    if (canvas.height !== displacementData.height) {
+      canvas.height = displacementData.height;
     }
-  }
-  return imageData;
+  });
+  const displacementCtx = displacementPreview.getContext("2d");
+  displacementCtx.putImageData(toImageData(displacementData), 0, 0);
+
+  const specularCtx = specularPreview.getContext("2d");
+  specularCtx.putImageData(toImageData(specularData), 0, 0);
+
+  updateExport();
 }
 
-// Convert ImageData to data URL
-function imageDataToDataURL(imageData) {
-  const canvas = document.createElement("canvas");
-  canvas.width = imageData.width;
-  canvas.height = imageData.height;
-  const ctx = canvas.getContext("2d");
-  ctx.putImageData(imageData, 0, 0);
-  return canvas.toDataURL();
+// ===== EXPORT =====
+const EXPORT_ID = "liquid-glass";
+const exportSvg = document.getElementById("exportSvg");
+const exportCss = document.getElementById("exportCss");
+
+function updateExport() {
+  exportSvg.value = mainGlass.toSVG(EXPORT_ID);
+  exportCss.value = mainGlass.toCSS({
+    id: EXPORT_ID,
+    variant: state.exportVariant,
+  });
 }
 
-// Update filter and previews
-function updateFilter(updateScale = true) {
-  const surfaceFn = SurfaceEquations[state.surfaceType];
-  const precomputed = calculateDisplacementMap1D(
-    state.glassThickness,
-    state.bezelWidth,
-    surfaceFn,
-    state.refractiveIndex,
-  );
-  state.maximumDisplacement = Math.max(...precomputed.map(Math.abs));
-
-  const displacementData = calculateDisplacementMap2D(
-    state.objectWidth,
-    state.objectHeight,
-    state.objectWidth,
-    state.objectHeight,
-    state.radius,
-    state.bezelWidth,
-    state.maximumDisplacement || 1,
-    precomputed,
-  );
-  const specularData = calculateSpecularHighlight(
-    state.objectWidth,
-    state.objectHeight,
-    state.radius,
-    state.bezelWidth,
-  );
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-  const displacementUrl = imageDataToDataURL(displacementData);
-  const specularUrl = imageDataToDataURL(specularData);
+function downloadCanvas(canvas, filename) {
+  canvas.toBlob((blob) => downloadBlob(blob, filename), "image/png");
+}
 
-  document
-    .getElementById("displacementImage")
-    .setAttribute("href", displacementUrl);
-  document.getElementById("specularImage").setAttribute("href", specularUrl);
+function initExportPanel() {
+  const variantSelector = document.getElementById("exportVariantSelector");
+  variantSelector.querySelectorAll(".surface-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      variantSelector
+        .querySelectorAll(".surface-btn")
+        .forEach((b) => b.classList.remove("active"));
+      btn.classList.add("active");
+      state.exportVariant = btn.dataset.variant;
+      updateExport();
+    });
+  });
 
-  if (updateScale) {
-    document
-      .getElementById("displacementMap")
-      .setAttribute("scale", state.maximumDisplacement * state.refractionScale);
-  }
+  document.querySelectorAll(".export-copy").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const source = document.getElementById(btn.dataset.copy);
+      try {
+        await navigator.clipboard.writeText(source.value);
+        btn.textContent = "Copied";
+      } catch {
+        // Clipboard access can be denied, leave the text selected instead
+        source.select();
+        btn.textContent = "Selected";
+      }
+      setTimeout(() => (btn.textContent = "Copy"), 1500);
+    });
+  });
 
   document
-    .getElementById("specularAlpha")
-    .setAttribute("slope", state.specularOpacity);
+    .getElementById("downloadDisplacement")
+    .addEventListener("click", () =>
+      downloadCanvas(displacementPreview, "displacement-map.png"),
+    );
   document
-    .getElementById("filterBlur")
-    .setAttribute("stdDeviation", state.blur);
+    .getElementById("downloadSpecular")
+    .addEventListener("click", () =>
+      downloadCanvas(specularPreview, "specular-map.png"),
+    );
+}
 
-  // Update preview canvases
-  const displacementCtx = displacementPreview.getContext("2d");
-  displacementCtx.putImageData(displacementData, 0, 0);
+// ===== DIAGNOSTICS =====
+// What the page detected and how the main glass renders, for bug reports.
+// Refreshed twice a second while the panel is on screen, which is also
+// when the frame rate is measured.
+const BACKDROP_DETECTION_LABELS = {
+  probe: "render probe",
+  heuristic: "guessed, the render probe was inconclusive",
+};
 
-  const specularCtx = specularPreview.getContext("2d");
-  specularCtx.putImageData(specularData, 0, 0);
+const MAP_SOURCE_LABELS = {
+  cache: "from the cache",
+  worker: "in the worker",
+  main: "on the main thread",
+};
 
-  // Update clone position after filter update
-  updateContentClonePosition();
+const diagnosticsJson = document.getElementById("diagnosticsJson");
+let webgl2Problem = null;
+let framesPerSecond = null;
+
+function getDiagnostics() {
+  const { mapTiming } = mainGlass;
+  return {
+    date: new Date().toISOString(),
+    userAgent: navigator.userAgent,
+    devicePixelRatio: window.devicePixelRatio,
+    features: {
+      backdropFilterUrl: {
+        supported: backdropFilterSupported,
+        detection: backdropFilterDetection,
+      },
+      webgl2: { supported: !webgl2Problem, problem: webgl2Problem },
+      offscreenCanvas: typeof OffscreenCanvas !== "undefined",
+      pointerEvents: typeof PointerEvent !== "undefined",
+    },
+    renderMode: {
+      active: renderMode,
+      skipped: renderModeFallbacks.map(({ mode, problem }) => ({
+        mode,
+        problem: toPlainText(problem),
+      })),
+    },
+    maps: mapTiming && {
+      source: mapTiming.source,
+      duration: Math.round(mapTiming.duration * 10) / 10,
+    },
+    framesPerSecond,
+    filter: {
+      ...mainGlass.options,
+      maximumDisplacement: mainGlass.maximumDisplacement,
+      scale: mainGlass.maximumDisplacement * mainGlass.scaleRatio,
+    },
+  };
+}
+
+function updateDiagnostics() {
+  const diagnostics = getDiagnostics();
+  const { backdropFilterUrl, webgl2 } = diagnostics.features;
+  const { maps } = diagnostics;
+  const rows = {
+    diagnosticsBackdrop: backdropFilterUrl.detection
+      ? `${backdropFilterUrl.supported ? "Supported" : "Not supported"} ` +
+        `(${BACKDROP_DETECTION_LABELS[backdropFilterUrl.detection]})`
+      : "Detecting…",
+    diagnosticsWebgl: webgl2.supported ? "Supported" : webgl2.problem,
+    diagnosticsBackend: RENDER_MODE_LABELS[renderMode],
+    diagnosticsMaps: maps
+      ? `${maps.duration.toFixed(1)} ms ${MAP_SOURCE_LABELS[maps.source]}`
+      : "Generating…",
+    diagnosticsFps: framesPerSecond ?? "Measuring…",
+  };
+  Object.entries(rows).forEach(([id, text]) => {
+    document.getElementById(id).textContent = text;
+  });
+  // Don't replace the report while it is being selected or copied
+  if (document.activeElement !== diagnosticsJson) {
+    diagnosticsJson.value = JSON.stringify(diagnostics, null, 2);
+  }
+}
+
+function initDiagnostics() {
+  webgl2Problem = getWebGL2Problem();
+
+  let isVisible = false;
+  let frameId = null;
+  let frames = 0;
+  let measureStart = 0;
+  function countFrame(timestamp) {
+    frames++;
+    const elapsed = timestamp - measureStart;
+    if (elapsed >= 500) {
+      framesPerSecond = Math.round((frames * 1000) / elapsed);
+      frames = 0;
+      measureStart = timestamp;
+      updateDiagnostics();
+    }
+    frameId = isVisible ? requestAnimationFrame(countFrame) : null;
+  }
+  new IntersectionObserver(([entry]) => {
+    isVisible = entry.isIntersecting;
+    if (!isVisible || frameId) return;
+    frames = 0;
+    measureStart = performance.now();
+    framesPerSecond = null;
+    updateDiagnostics();
+    frameId = requestAnimationFrame(countFrame);
+  }).observe(document.getElementById("diagnosticsSection"));
+
+  document
+    .getElementById("downloadDiagnostics")
+    .addEventListener("click", () => {
+      const report = JSON.stringify(getDiagnostics(), null, 2);
+      downloadBlob(
+        new Blob([report], { type: "application/json" }),
+        "liquid-glass-diagnostics.json",
+      );
+    });
+}
+
+// Rounded outlines only need the border radius, other shapes are clipped
+// to the outline of the glass
+function updateGlassOutline() {
+  const isRounded = state.shape === "rounded_rect" || state.shape === "pill";
+  const radius =
+    state.shape === "pill"
+      ? Math.min(state.objectWidth, state.objectHeight) / 2
+      : state.radius;
+  glassElement.style.borderRadius = isRounded ? radius + "px" : "0";
+  glassElement.style.clipPath = isRounded ? "" : mainGlass.clipUrl;
 }
 
 // Animation loop for spring physics
 function animationLoop(timestamp) {
   const dt = Math.min(0.032, 1 / 60);
 
-  if (state.isDragging) {
+  if (state.isDragging || state.resize) {
     springs.scale.setTarget(1.0);
     springs.shadowOffsetX.setTarget(4);
     springs.shadowOffsetY.setTarget(16);
@@ -583,21 +774,37 @@ function animationLoop(timestamp) {
         squishAmount * Math.abs(vyNorm) -
         squishAmount * 0.5 * Math.abs(vxNorm),
     );
+    springs.stretch.setTarget(squishAmount);
+    state.stretchAngle = Math.atan2(state.velocityY, state.velocityX);
   } else {
     springs.scaleX.setTarget(1);
     springs.scaleY.setTarget(1);
+    springs.stretch.setTarget(0);
   }
 
   const scale = springs.scale.update(dt);
   const scaleX = springs.scaleX.update(dt);
   const scaleY = springs.scaleY.update(dt);
+  const stretch = springs.stretch.update(dt);
   const shadowOffsetX = springs.shadowOffsetX.update(dt);
   const shadowOffsetY = springs.shadowOffsetY.update(dt);
   const shadowBlur = springs.shadowBlur.update(dt);
   const shadowAlpha = springs.shadowAlpha.update(dt);
   const refractionBoost = springs.refractionBoost.update(dt);
 
-  glassElement.style.transform = `scale(${scale * scaleX}, ${scale * scaleY})`;
+  if (state.squashMode === "directional") {
+    const angle = state.stretchAngle;
+    const along = 1 + stretch;
+    const across = 1 - stretch * 0.5;
+    glassElement.style.transform = `scale(${scale}) rotate(${angle}rad) scale(${along}, ${across}) rotate(${-angle}rad)`;
+    updateDeformation({ angle, along, across });
+  } else {
+    glassElement.style.transform = `scale(${scale * scaleX}, ${scale * scaleY})`;
+    if (state.squashMode === "axis") {
+      updateDeformation({ angle: 0, along: scaleX, across: scaleY });
+    }
+  }
+  syncResizeFrame();
 
   const insetAlpha = shadowAlpha * 0.6;
   glassInner.style.boxShadow = `
@@ -606,17 +813,18 @@ function animationLoop(timestamp) {
                     inset ${-shadowOffsetX * 0.3}px ${-shadowOffsetY * 0.4}px 16px rgba(255, 255, 255, ${insetAlpha * 0.8})
                 `;
 
-  const dynamicRefractionScale = state.refractionScale * refractionBoost;
-  document
-    .getElementById("displacementMap")
-    .setAttribute("scale", state.maximumDisplacement * dynamicRefractionScale);
+  mainGlass.setScale(state.refractionScale * refractionBoost);
+  renderWebGL();
 
-  if (!state.isDragging) {
+  if (state.throw) {
+    updateThrow(dt);
+  } else if (!state.isDragging) {
     state.velocityX *= 0.95;
     state.velocityY *= 0.95;
   }
 
   const allSettled =
+    !state.throw &&
     Object.values(springs).every((s) => s.isSettled()) &&
     Math.abs(state.velocityX) < 1 &&
     Math.abs(state.velocityY) < 1;
@@ -628,32 +836,107 @@ function animationLoop(timestamp) {
   }
 }
 
+// Regenerate the maps for the stretched outline. The stretch is rounded so
+// a drag only produces a handful of distinct maps, which stay cached.
+function updateDeformation(deformation) {
+  const step = 0.02;
+  const along = Math.round(deformation.along / step) * step;
+  const across = Math.round(deformation.across / step) * step;
+  // Stretching is the same in both directions along a line
+  const angleStep = Math.PI / 12;
+  const angle =
+    (Math.round(deformation.angle / angleStep) * angleStep + Math.PI) % Math.PI;
+  const next =
+    Math.abs(along - 1) < step / 2 && Math.abs(across - 1) < step / 2
+      ? null
+      : {
+          angle: Number(angle.toFixed(4)),
+          along: Number(along.toFixed(2)),
+          across: Number(across.toFixed(2)),
+        };
+  if (JSON.stringify(next) === JSON.stringify(state.deformation)) return;
+  state.deformation = next;
+  mainGlass.update({ deformation: next });
+}
+
 function startAnimationLoop() {
   if (!animationFrameId) {
     animationFrameId = requestAnimationFrame(animationLoop);
   }
 }
 
-// Dragging functionality
-function initDragging() {
-  glassElement.addEventListener("mousedown", startDrag);
-  glassElement.addEventListener("touchstart", startDrag, {
-    passive: false,
+// ===== POINTER INPUT =====
+// Mouse, touch and pen go through Pointer Events. Each pointer pressed on
+// `element` is captured, so its moves and release reach `element` even
+// outside it. Secondary mouse buttons and pointers beyond `maxPointers`
+// are ignored, as is any pointer for which `onDown` returns false.
+// Handlers get the event and the active pointers (id -> { x, y }).
+function trackPointers(element, { onDown, onMove, onUp }, maxPointers = 1) {
+  const pointers = new Map();
+
+  element.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0 || pointers.size >= maxPointers) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (onDown(e, pointers) === false) {
+      pointers.delete(e.pointerId);
+      return;
+    }
+    e.preventDefault();
+    element.setPointerCapture(e.pointerId);
   });
-  document.addEventListener("mousemove", drag);
-  document.addEventListener("touchmove", drag, {
-    passive: false,
+
+  element.addEventListener("pointermove", (e) => {
+    const pointer = pointers.get(e.pointerId);
+    if (!pointer) return;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+    onMove(e, pointers);
   });
-  document.addEventListener("mouseup", endDrag);
-  document.addEventListener("touchend", endDrag);
+
+  // Released, cancelled by the browser, or capture lost some other way
+  const end = (e) => {
+    if (!pointers.delete(e.pointerId)) return;
+    onUp(e, pointers);
+  };
+  element.addEventListener("pointerup", end);
+  element.addEventListener("pointercancel", end);
+  element.addEventListener("lostpointercapture", end);
+}
+
+// Dragging functionality. A second pointer on the glass turns the drag
+// into a pinch; lifting one of the two resumes dragging with the other.
+function initDragging() {
+  trackPointers(
+    glassElement,
+    {
+      onDown: (e, pointers) => {
+        if (pointers.size === 1) return startDrag(e);
+        return startPinch(pointers);
+      },
+      onMove: (e, pointers) => {
+        if (state.pinch) pinch(pointers);
+        else drag(e);
+      },
+      onUp: (e, pointers) => {
+        if (!state.pinch) {
+          endDrag();
+          return;
+        }
+        endPinch();
+        const [pointer] = pointers.values();
+        if (pointer) startDrag({ clientX: pointer.x, clientY: pointer.y });
+      },
+    },
+    2,
+  );
 }
 
 function startDrag(e) {
-  e.preventDefault();
+  if (state.resize) return false;
   state.isDragging = true;
+  state.throw = null;
 
-  const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-  const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+  const { clientX, clientY } = e;
   const rect = glassElement.getBoundingClientRect();
 
   const currentScale = springs.scale.value;
@@ -678,11 +961,9 @@ function startDrag(e) {
 
 function drag(e) {
   if (!state.isDragging) return;
-  e.preventDefault();
 
-  const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-  const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-  const areaRect = demoArea.getBoundingClientRect();
+  const { clientX, clientY } = e;
+  const areaRect = getAreaRect();
 
   const now = performance.now();
   const dt = Math.max(1, now - state.lastTime) / 1000;
@@ -712,6 +993,7 @@ function drag(e) {
 
   glassElement.style.left = newX + "px";
   glassElement.style.top = newY + "px";
+  syncResizeFrame();
 
   updateContentClonePosition();
 }
@@ -720,95 +1002,1365 @@ function endDrag() {
   if (!state.isDragging) return;
   state.isDragging = false;
 
-  const areaRect = demoArea.getBoundingClientRect();
-  let currentX = parseFloat(glassElement.style.left) || 0;
-  let currentY = parseFloat(glassElement.style.top) || 0;
-
-  const maxX = areaRect.width - state.objectWidth;
-  const maxY = areaRect.height - state.objectHeight;
-
-  currentX = Math.max(0, Math.min(currentX, maxX));
-  currentY = Math.max(0, Math.min(currentY, maxY));
+  // A pointer that rested before release throws nothing
+  if (performance.now() - state.lastTime > 80) {
+    state.velocityX = 0;
+    state.velocityY = 0;
+  }
+  startThrow();
+  startAnimationLoop();
+}
 
-  glassElement.style.left = currentX + "px";
-  glassElement.style.top = currentY + "px";
+// ===== THROW =====
+// After release each axis flies on with its drag velocity, decaying with
+// `friction`. Past an edge, or towards a snap point, the axis is handed to
+// a Spring whose damping comes from `bounciness`.
+const THROW_STIFFNESS = 300;
+const SNAP_MARGIN = 16;
+
+function createThrowSpring(value, target, velocity) {
+  // Damping ratio from 1 (no bounce) down to 0.1
+  const dampingRatio = 1 - state.bounciness * 0.9;
+  const spring = new Spring(
+    value,
+    THROW_STIFFNESS,
+    2 * dampingRatio * Math.sqrt(THROW_STIFFNESS),
+  );
+  spring.setTarget(target);
+  spring.velocity = velocity;
+  return spring;
+}
 
-  updateContentClonePosition();
-  startAnimationLoop();
+function getThrowBounds() {
+  const areaRect = getAreaRect();
+  return {
+    maxX: areaRect.width - state.objectWidth,
+    maxY: areaRect.height - state.objectHeight,
+  };
 }
 
-// Initialize controls
-function initControls() {
-  document.querySelectorAll(".surface-btn").forEach((btn) => {
-    btn.addEventListener("click", () => {
-      document
-        .querySelectorAll(".surface-btn")
-        .forEach((b) => b.classList.remove("active"));
-      btn.classList.add("active");
-      state.surfaceType = btn.dataset.surface;
-      updateFilter();
+// Glass positions for the snap points: the corners and centre of the
+// area, or centred over the content marked with data-snap
+function getSnapPoints() {
+  const { maxX, maxY } = getThrowBounds();
+  if (state.snapMode === "corners") {
+    const left = SNAP_MARGIN;
+    const top = SNAP_MARGIN;
+    const right = maxX - SNAP_MARGIN;
+    const bottom = maxY - SNAP_MARGIN;
+    return [
+      { x: left, y: top },
+      { x: right, y: top },
+      { x: left, y: bottom },
+      { x: right, y: bottom },
+      { x: maxX / 2, y: maxY / 2 },
+    ];
+  }
+  if (state.snapMode === "content") {
+    const areaRect = getAreaRect();
+    return [...demoContent.querySelectorAll("[data-snap]")].map((element) => {
+      const rect = element.getBoundingClientRect();
+      return {
+        x: Math.max(
+          0,
+          Math.min(
+            maxX,
+            rect.left - areaRect.left + (rect.width - state.objectWidth) / 2,
+          ),
+        ),
+        y: Math.max(
+          0,
+          Math.min(
+            maxY,
+            rect.top - areaRect.top + (rect.height - state.objectHeight) / 2,
+          ),
+        ),
+      };
     });
-  });
+  }
+  return [];
+}
 
-  const sliders = {
-    bezelWidth: {
-      prop: "bezelWidth",
-      format: (v) => Math.round(v),
-    },
-    glassThickness: {
-      prop: "glassThickness",
-      format: (v) => Math.round(v),
-    },
-    refractionScale: {
-      prop: "refractionScale",
-      format: (v) => v.toFixed(2),
-    },
-    specularOpacity: {
-      prop: "specularOpacity",
-      format: (v) => v.toFixed(2),
+function startThrow() {
+  const x = parseFloat(glassElement.style.left) || 0;
+  const y = parseFloat(glassElement.style.top) || 0;
+  const vx = state.velocityX;
+  const vy = state.velocityY;
+
+  // Snap to the point nearest to where the throw would come to rest
+  const restX = x + vx / state.friction;
+  const restY = y + vy / state.friction;
+  const snapPoint = getSnapPoints().reduce(
+    (nearest, point) =>
+      !nearest ||
+      Math.hypot(point.x - restX, point.y - restY) <
+        Math.hypot(nearest.x - restX, nearest.y - restY)
+        ? point
+        : nearest,
+    null,
+  );
+
+  state.throw = {
+    x: {
+      value: x,
+      velocity: vx,
+      spring: snapPoint && createThrowSpring(x, snapPoint.x, vx),
     },
-    blur: {
-      prop: "blur",
-      format: (v) => v.toFixed(1),
+    y: {
+      value: y,
+      velocity: vy,
+      spring: snapPoint && createThrowSpring(y, snapPoint.y, vy),
     },
   };
+}
 
-  Object.entries(sliders).forEach(([id, config]) => {
-    const slider = document.getElementById(id);
-    const valueDisplay = document.getElementById(id + "Value");
+// Advance one axis; returns whether it is still moving
+function updateThrowAxis(axis, max, dt) {
+  if (axis.spring) {
+    axis.value = axis.spring.update(dt);
+    axis.velocity = axis.spring.velocity;
+    return !axis.spring.isSettled();
+  }
+  axis.velocity *= Math.exp(-state.friction * dt);
+  axis.value += axis.velocity * dt;
+  if (axis.value < 0 || axis.value > max) {
+    axis.spring = createThrowSpring(
+      axis.value,
+      axis.value < 0 ? 0 : max,
+      axis.velocity,
+    );
+  }
+  return Math.abs(axis.velocity) > 5 || Boolean(axis.spring);
+}
 
-    slider.addEventListener("input", () => {
-      const value = parseFloat(slider.value);
-      state[config.prop] = value;
-      valueDisplay.textContent = config.format(value);
-      updateFilter();
-    });
-  });
+function updateThrow(dt) {
+  const { maxX, maxY } = getThrowBounds();
+  const movingX = updateThrowAxis(state.throw.x, maxX, dt);
+  const movingY = updateThrowAxis(state.throw.y, maxY, dt);
+
+  glassElement.style.left = state.throw.x.value + "px";
+  glassElement.style.top = state.throw.y.value + "px";
+  // Squash and stretch follow the throw
+  state.velocityX = state.throw.x.velocity;
+  state.velocityY = state.throw.y.velocity;
+  syncResizeFrame();
+  updateContentClonePosition();
+
+  if (!movingX && !movingY) state.throw = null;
 }
 
-// Initialize
-function init() {
-  detectBackdropFilterSupport();
-  initDragging();
-  initControls();
-  updateFilter(false);
-  updateContentClonePosition(true);
+// Call `fn` once calls have stopped for `wait` ms, and at least every
+// `maxWait` ms while they keep coming
+function debounce(fn, wait, maxWait = Infinity) {
+  let timeoutId = null;
+  let firstCallTime = null;
+
+  function run() {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    firstCallTime = null;
+    fn();
+  }
 
-  // Set up mode toggle
-  const modeToggle = document.getElementById("modeToggle");
-  modeToggle.addEventListener("click", toggleRenderMode);
+  return () => {
+    const now = performance.now();
+    firstCallTime ??= now;
+    clearTimeout(timeoutId);
+    const remaining = Math.min(wait, maxWait - (now - firstCallTime));
+    if (remaining <= 0) {
+      run();
+    } else {
+      timeoutId = setTimeout(run, remaining);
+    }
+  };
+}
 
-  springs.scale.value = 0.85;
-  springs.scale.target = 0.85;
-  startAnimationLoop();
+// Regenerating the maps takes a few milliseconds, so while resizing they
+// are refreshed at most every 120ms
+const scheduleFilterUpdate = debounce(updateFilter, 40, 120);
+
+const glassResizeFrame = document.getElementById("glassResizeFrame");
+const radiusSlider = document.getElementById("radius");
+
+// The resize frame sits next to the glass (which clips its overflow) and
+// mirrors its box and transform
+function syncResizeFrame() {
+  const { left, top, transform } = glassElement.style;
+  Object.assign(glassResizeFrame.style, {
+    left,
+    top,
+    width: state.objectWidth + "px",
+    height: state.objectHeight + "px",
+    transform,
+  });
 }
 
-// ===== SLIDER DEMO =====
-const sliderConfig = {
-  thumbWidth: 90,
-  thumbHeight: 60,
-  thumbRadius: 30,
-  trackWidth: 330,
+function setGlassSize(width, height) {
+  state.objectWidth = width;
+  state.objectHeight = height;
+  glassElement.style.width = width + "px";
+  glassElement.style.height = height + "px";
+
+  // Keep the radius slider within the new size
+  const maxRadius = Math.floor(Math.min(width, height) / 2);
+  radiusSlider.max = maxRadius;
+  if (state.radius > maxRadius) {
+    state.radius = maxRadius;
+    radiusSlider.value = maxRadius;
+    document.getElementById("radiusValue").textContent = maxRadius;
+  }
+}
+
+function initResizing() {
+  glassResizeFrame.querySelectorAll(".resize-handle").forEach((handle) => {
+    trackPointers(handle, {
+      onDown: (e) => startResize(e, handle.dataset.handle),
+      onMove: resize,
+      onUp: endResize,
+    });
+  });
+}
+
+function startResize(e, handle) {
+  if (state.isDragging || state.pinch) return false;
+  state.throw = null;
+
+  const { clientX, clientY } = e;
+  state.resize = {
+    handle,
+    startX: clientX,
+    startY: clientY,
+    left: parseFloat(glassElement.style.left) || 0,
+    top: parseFloat(glassElement.style.top) || 0,
+    width: state.objectWidth,
+    height: state.objectHeight,
+  };
+  glassResizeFrame.classList.add("resizing");
+  startAnimationLoop();
+}
+
+function resize(e) {
+  if (!state.resize) return;
+
+  const { clientX, clientY } = e;
+  const { handle, startX, startY, left, top, width, height } = state.resize;
+  const areaRect = getAreaRect();
+  const dx = clientX - startX;
+  const dy = clientY - startY;
+
+  // Edges being dragged move, the opposite edges stay put
+  let newLeft = left;
+  let newTop = top;
+  let newWidth = width;
+  let newHeight = height;
+  if (handle.includes("e")) {
+    newWidth = Math.min(width + dx, areaRect.width - left);
+  }
+  if (handle.includes("w")) {
+    newWidth = Math.min(width - dx, left + width);
+  }
+  if (handle.includes("s")) {
+    newHeight = Math.min(height + dy, areaRect.height - top);
+  }
+  if (handle.includes("n")) {
+    newHeight = Math.min(height - dy, top + height);
+  }
+  newWidth = Math.round(Math.max(MIN_GLASS_WIDTH, newWidth));
+  newHeight = Math.round(Math.max(MIN_GLASS_HEIGHT, newHeight));
+  if (handle.includes("w")) newLeft = left + width - newWidth;
+  if (handle.includes("n")) newTop = top + height - newHeight;
+
+  glassElement.style.left = newLeft + "px";
+  glassElement.style.top = newTop + "px";
+  setGlassSize(newWidth, newHeight);
+  syncResizeFrame();
+  updateContentClonePosition();
+  scheduleFilterUpdate();
+}
+
+function endResize() {
+  if (!state.resize) return;
+  state.resize = null;
+  glassResizeFrame.classList.remove("resizing");
+  startAnimationLoop();
+}
+
+// Two-pointer pinch: scales the glass about its centre by the change in
+// distance between the pointers, keeping the aspect ratio and staying
+// inside the area. The maps regenerate as with the resize handles.
+function getPinchDistance(pointers) {
+  const [a, b] = pointers.values();
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+function startPinch(pointers) {
+  if (state.resize) return false;
+  state.isDragging = false;
+  state.velocityX = 0;
+  state.velocityY = 0;
+  state.pinch = {
+    distance: Math.max(1, getPinchDistance(pointers)),
+    left: parseFloat(glassElement.style.left) || 0,
+    top: parseFloat(glassElement.style.top) || 0,
+    width: state.objectWidth,
+    height: state.objectHeight,
+  };
+  glassResizeFrame.classList.add("resizing");
+  startAnimationLoop();
+}
+
+function pinch(pointers) {
+  const { distance, left, top, width, height } = state.pinch;
+  const areaRect = getAreaRect();
+  const minRatio = Math.max(MIN_GLASS_WIDTH / width, MIN_GLASS_HEIGHT / height);
+  const maxRatio = Math.min(areaRect.width / width, areaRect.height / height);
+  const ratio = Math.max(
+    minRatio,
+    Math.min(maxRatio, getPinchDistance(pointers) / distance),
+  );
+  const newWidth = Math.round(width * ratio);
+  const newHeight = Math.round(height * ratio);
+  const newLeft = Math.max(
+    0,
+    Math.min(areaRect.width - newWidth, left + (width - newWidth) / 2),
+  );
+  const newTop = Math.max(
+    0,
+    Math.min(areaRect.height - newHeight, top + (height - newHeight) / 2),
+  );
+
+  glassElement.style.left = newLeft + "px";
+  glassElement.style.top = newTop + "px";
+  setGlassSize(newWidth, newHeight);
+  syncResizeFrame();
+  updateContentClonePosition();
+  scheduleFilterUpdate();
+}
+
+function endPinch() {
+  state.pinch = null;
+  glassResizeFrame.classList.remove("resizing");
+  startAnimationLoop();
+}
+
+// Parameter sliders of the main glass, by input id
+const mainSliders = {
+  radius: {
+    prop: "radius",
+    format: (v) => Math.round(v),
+  },
+  superellipseExponent: {
+    prop: "superellipseExponent",
+    format: (v) => v.toFixed(1),
+  },
+  bezelWidth: {
+    prop: "bezelWidth",
+    format: (v) => Math.round(v),
+  },
+  glassThickness: {
+    prop: "glassThickness",
+    format: (v) => Math.round(v),
+  },
+  refractiveIndex: {
+    prop: "refractiveIndex",
+    format: (v) => v.toFixed(2),
+  },
+  abbeNumber: {
+    prop: "abbeNumber",
+    format: (v) => v.toFixed(1),
+  },
+  dispersionStrength: {
+    prop: "dispersionStrength",
+    format: (v) => v.toFixed(1),
+  },
+  refractionScale: {
+    prop: "refractionScale",
+    format: (v) => v.toFixed(2),
+  },
+  specularOpacity: {
+    prop: "specularOpacity",
+    format: (v) => v.toFixed(2),
+  },
+  shininess: {
+    prop: "shininess",
+    format: (v) => Math.round(v),
+  },
+  friction: {
+    prop: "friction",
+    format: (v) => v.toFixed(1),
+  },
+  bounciness: {
+    prop: "bounciness",
+    format: (v) => v.toFixed(2),
+  },
+  blur: {
+    prop: "blur",
+    format: (v) => v.toFixed(1),
+  },
+};
+// Initialize controls
+function initControls() {
+  document.querySelectorAll("#surfaceSelector .surface-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      document
+        .querySelectorAll("#surfaceSelector .surface-btn")
+        .forEach((b) => b.classList.remove("active"));
+      btn.classList.add("active");
+      state.surfaceType = btn.dataset.surface;
+      updateFilter();
+    });
+  });
+
+  document.querySelectorAll("#shapeSelector .surface-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      document
+        .querySelectorAll("#shapeSelector .surface-btn")
+        .forEach((b) => b.classList.remove("active"));
+      btn.classList.add("active");
+      state.shape = btn.dataset.shape;
+      updateFilter();
+    });
+  });
+
+  // Invalid path data is flagged on the input and not applied
+  const shapePath = document.getElementById("shapePath");
+  shapePath.addEventListener("input", () => {
+    try {
+      createShape({
+        type: "path",
+        width: state.objectWidth,
+        height: state.objectHeight,
+        path: shapePath.value,
+      });
+    } catch (error) {
+      shapePath.classList.add("invalid");
+      shapePath.title = error.message;
+      return;
+    }
+    shapePath.classList.remove("invalid");
+    shapePath.title = "";
+    state.path = shapePath.value;
+    updateFilter();
+  });
+
+  Object.entries(mainSliders).forEach(([id, config]) => {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + "Value");
+
+    slider.addEventListener("input", () => {
+      const value = parseFloat(slider.value);
+      state[config.prop] = value;
+      valueDisplay.textContent = config.format(value);
+      updateFilter();
+    });
+  });
+
+  // Material presets drive the refractive index and Abbe number sliders
+  const refractiveIndexSlider = document.getElementById("refractiveIndex");
+  const abbeNumberSlider = document.getElementById("abbeNumber");
+  document.querySelectorAll("#materialSelector .surface-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const preset = MaterialPresets[btn.dataset.material];
+      refractiveIndexSlider.value = preset.refractiveIndex;
+      abbeNumberSlider.value = preset.abbeNumber;
+      refractiveIndexSlider.dispatchEvent(new Event("input"));
+      abbeNumberSlider.dispatchEvent(new Event("input"));
+    });
+  });
+
+  document.querySelectorAll("#squashSelector .surface-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      document
+        .querySelectorAll("#squashSelector .surface-btn")
+        .forEach((b) => b.classList.remove("active"));
+      btn.classList.add("active");
+      state.squashMode = btn.dataset.squash;
+      if (state.squashMode === "css" && state.deformation) {
+        state.deformation = null;
+        mainGlass.update({ deformation: null });
+      }
+    });
+  });
+
+  document.querySelectorAll("#snapSelector .surface-btn").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      document
+        .querySelectorAll("#snapSelector .surface-btn")
+        .forEach((b) => b.classList.remove("active"));
+      btn.classList.add("active");
+      state.snapMode = btn.dataset.snapMode;
+    });
+  });
+
+  const dispersionToggle = document.getElementById("dispersionToggle");
+  dispersionToggle.addEventListener("click", () => {
+    state.dispersion = !state.dispersion;
+    dispersionToggle.classList.toggle("active", state.dispersion);
+    document.getElementById("dispersionValue").textContent = state.dispersion
+      ? "On"
+      : "Off";
+    updateFilter();
+  });
+}
+
+const LIGHT_COLORS = ["#ffffff", "#ffb27a", "#7ab8ff", "#c58bff"];
+const MAX_LIGHTS = LIGHT_COLORS.length;
+const lightDial = document.getElementById("lightDial");
+
+// Dial knobs, light buttons and the colour of the selected light
+function renderLights() {
+  const selected = state.lights[state.selectedLight];
+  lightDial.replaceChildren(
+    ...state.lights.map(({ angle, color }, i) => {
+      const knob = document.createElement("span");
+      knob.className = "light-knob";
+      knob.classList.toggle("active", i === state.selectedLight);
+      knob.style.left = 50 + Math.cos(angle) * 40 + "%";
+      knob.style.top = 50 - Math.sin(angle) * 40 + "%";
+      knob.style.background = color;
+      return knob;
+    }),
+  );
+
+  document.getElementById("lightSelector").replaceChildren(
+    ...state.lights.map((light, i) => {
+      const btn = document.createElement("button");
+      btn.className = "surface-btn";
+      btn.classList.toggle("active", i === state.selectedLight);
+      btn.textContent = `Light ${i + 1}`;
+      btn.addEventListener("click", () => {
+        state.selectedLight = i;
+        renderLights();
+      });
+      return btn;
+    }),
+  );
+
+  const degrees = Math.round((selected.angle * 180) / Math.PI);
+  document.getElementById("lightAngleValue").textContent =
+    ((degrees + 360) % 360) + "°";
+  document.getElementById("lightColor").value = selected.color;
+  document.getElementById("addLight").disabled =
+    state.lights.length >= MAX_LIGHTS;
+  document.getElementById("removeLight").disabled = state.lights.length < 2;
+}
+
+function initLightsEditor() {
+  document
+    .querySelectorAll("#specularModelSelector .surface-btn")
+    .forEach((btn) => {
+      btn.addEventListener("click", () => {
+        document
+          .querySelectorAll("#specularModelSelector .surface-btn")
+          .forEach((b) => b.classList.remove("active"));
+        btn.classList.add("active");
+        state.specularModel = btn.dataset.model;
+        updateFilter();
+      });
+    });
+
+  document.getElementById("lightColor").addEventListener("input", (e) => {
+    state.lights[state.selectedLight].color = e.target.value;
+    renderLights();
+    updateFilter();
+  });
+
+  document.getElementById("addLight").addEventListener("click", () => {
+    if (state.lights.length >= MAX_LIGHTS) return;
+    // Opposite the selected light, in the next colour
+    const { angle } = state.lights[state.selectedLight];
+    state.lights.push({
+      angle: angle + Math.PI,
+      color: LIGHT_COLORS[state.lights.length],
+    });
+    state.selectedLight = state.lights.length - 1;
+    renderLights();
+    updateFilter();
+  });
+
+  document.getElementById("removeLight").addEventListener("click", () => {
+    if (state.lights.length < 2) return;
+    state.lights.splice(state.selectedLight, 1);
+    state.selectedLight = Math.max(0, state.selectedLight - 1);
+    renderLights();
+    updateFilter();
+  });
+
+  // Dragging on the dial picks the nearest light and points it at the
+  // pointer. During the drag the glass is only re-shaded with
+  // setLightAngle(), turning all lights with the dragged one, and the maps
+  // are regenerated once it ends.
+  let isDraggingLight = false;
+  let dragStartAngles = null;
+  function getPointerAngle(e) {
+    const rect = lightDial.getBoundingClientRect();
+    return Math.atan2(
+      rect.top + rect.height / 2 - e.clientY,
+      e.clientX - rect.left - rect.width / 2,
+    );
+  }
+
+  function setLightAngle(e) {
+    const angle = getPointerAngle(e);
+    state.lights[state.selectedLight].angle = angle;
+    renderLights();
+    // The reactive light already turns the lights
+    if (state.reactiveLight !== "off") return;
+    const { first, selected } = dragStartAngles;
+    mainGlass.setLightAngle(first + angle - selected);
+    renderWebGL();
+  }
+
+  lightDial.addEventListener("pointerdown", (e) => {
+    const angle = getPointerAngle(e);
+    const angularDistance = (light) =>
+      Math.abs(
+        Math.atan2(
+          Math.sin(light.angle - angle),
+          Math.cos(light.angle - angle),
+        ),
+      );
+    state.selectedLight = state.lights.reduce(
+      (best, light, i) =>
+        angularDistance(light) < angularDistance(state.lights[best]) ? i : best,
+      0,
+    );
+    isDraggingLight = true;
+    dragStartAngles = {
+      first: state.lights[0].angle,
+      selected: state.lights[state.selectedLight].angle,
+    };
+    lightDial.setPointerCapture(e.pointerId);
+    setLightAngle(e);
+  });
+  lightDial.addEventListener("pointermove", (e) => {
+    if (isDraggingLight) setLightAngle(e);
+  });
+  const endLightDrag = () => {
+    if (!isDraggingLight) return;
+    isDraggingLight = false;
+    updateFilter();
+    // Keep the preview until the new maps replace it
+    const clearPreview = () => {
+      if (isDraggingLight || state.reactiveLight !== "off") return;
+      mainGlass.setLightAngle(null);
+      renderWebGL();
+    };
+    mainGlass.ready.then(clearPreview, clearPreview);
+  };
+  lightDial.addEventListener("pointerup", endLightDrag);
+  lightDial.addEventListener("pointercancel", endLightDrag);
+  lightDial.addEventListener("lostpointercapture", endLightDrag);
+
+  renderLights();
+}
+
+// Reactive light: the lights turn towards the pointer or with the device
+// tilt. The angle is smoothed by a spring and applied with setLightAngle(),
+// which only re-shades the specular map.
+const lightSpring = new Spring(Math.PI / 3, 120, 16);
+let lightFrameId = null;
+// Device pitch (beta) that counts as "level" when holding a phone
+const TILT_REST_BETA = 45;
+
+function setReactiveLightTarget(angle) {
+  // Unwrap so the spring takes the short way round
+  const current = lightSpring.value;
+  const delta = Math.atan2(
+    Math.sin(angle - current),
+    Math.cos(angle - current),
+  );
+  lightSpring.setTarget(current + delta);
+  if (!lightFrameId) lightFrameId = requestAnimationFrame(reactiveLightLoop);
+}
+
+function reactiveLightLoop() {
+  lightSpring.update(1 / 60);
+  mainGlass.setLightAngle(lightSpring.value);
+  renderWebGL();
+  lightFrameId = lightSpring.isSettled()
+    ? null
+    : requestAnimationFrame(reactiveLightLoop);
+}
+
+async function setReactiveLight(mode) {
+  // iOS only delivers orientation events after a permission prompt
+  if (
+    mode === "tilt" &&
+    typeof DeviceOrientationEvent.requestPermission === "function"
+  ) {
+    const permission = await DeviceOrientationEvent.requestPermission().catch(
+      () => "denied",
+    );
+    if (permission !== "granted") mode = "off";
+  }
+
+  state.reactiveLight = mode;
+  document
+    .querySelectorAll("#reactiveLightSelector .surface-btn")
+    .forEach((b) => b.classList.toggle("active", b.dataset.reactive === mode));
+
+  if (mode === "off") {
+    cancelAnimationFrame(lightFrameId);
+    lightFrameId = null;
+    mainGlass.setLightAngle(null);
+    renderWebGL();
+    return;
+  }
+  // Start from the configured direction
+  lightSpring.value = state.lights[0].angle;
+  lightSpring.velocity = 0;
+  setReactiveLightTarget(state.lights[0].angle);
+}
+
+function initReactiveLight() {
+  const tiltButton = document.querySelector(
+    '#reactiveLightSelector [data-reactive="tilt"]',
+  );
+  tiltButton.disabled = typeof DeviceOrientationEvent === "undefined";
+
+  document
+    .querySelectorAll("#reactiveLightSelector .surface-btn")
+    .forEach((btn) => {
+      btn.addEventListener("click", () =>
+        setReactiveLight(btn.dataset.reactive),
+      );
+    });
+
+  document.addEventListener("pointermove", (e) => {
+    if (state.reactiveLight !== "pointer") return;
+    const rect = glassElement.getBoundingClientRect();
+    setReactiveLightTarget(
+      Math.atan2(
+        rect.top + rect.height / 2 - e.clientY,
+        e.clientX - rect.left - rect.width / 2,
+      ),
+    );
+  });
+
+  window.addEventListener("deviceorientation", (e) => {
+    if (state.reactiveLight !== "tilt" || e.gamma === null) return;
+    const tiltX = e.gamma;
+    const tiltY = TILT_REST_BETA - e.beta;
+    // Ignore the jitter of a phone held still
+    if (Math.hypot(tiltX, tiltY) < 3) return;
+    setReactiveLightTarget(Math.atan2(tiltY, tiltX));
+  });
+}
+
+// Highlight the matching material and show where along the bezel
+// light is lost to total internal reflection
+function updateRefractionInfo() {
+  document.querySelectorAll("#materialSelector .surface-btn").forEach((btn) => {
+    const preset = MaterialPresets[btn.dataset.material];
+    btn.classList.toggle(
+      "active",
+      preset.refractiveIndex === state.refractiveIndex,
+    );
+  });
+
+  const ranges = findTotalInternalReflection(
+    SurfaceEquations[state.surfaceType],
+    state.refractiveIndex,
+  );
+  const tirBar = document.getElementById("tirBar");
+  tirBar.replaceChildren(
+    ...ranges.map(({ start, end }) => {
+      const zone = document.createElement("span");
+      zone.className = "tir-zone";
+      zone.style.left = start * 100 + "%";
+      zone.style.width = (end - start) * 100 + "%";
+      return zone;
+    }),
+  );
+
+  const coverage = ranges.reduce((sum, { start, end }) => sum + end - start, 0);
+  document.getElementById("tirValue").textContent =
+    Math.round(coverage * 100) + "%";
+}
+
+// Custom surface profile, edited as a Bézier curve or a math expression
+// and registered as SurfaceEquations.custom
+const profileEditor = {
+  mode: "bezier",
+  // cubic-bezier() style control points: x1, y1, x2, y2
+  points: [0.05, 0.8, 0.35, 1],
+  expression: document.getElementById("profileExpression").value,
+  dragIndex: -1,
+};
+const profileCanvas = document.getElementById("profileCanvas");
+const PROFILE_PADDING = 16;
+// Visible height range, leaving room to drag handles past 0 and 1
+const PROFILE_MIN_Y = -0.3;
+const PROFILE_MAX_Y = 1.3;
+
+function profileToCanvas(x, y) {
+  const plotWidth = profileCanvas.width - PROFILE_PADDING * 2;
+  const plotHeight = profileCanvas.height - PROFILE_PADDING * 2;
+  return [
+    PROFILE_PADDING + x * plotWidth,
+    PROFILE_PADDING +
+      ((PROFILE_MAX_Y - y) / (PROFILE_MAX_Y - PROFILE_MIN_Y)) * plotHeight,
+  ];
+}
+
+function canvasToProfile(canvasX, canvasY) {
+  const plotWidth = profileCanvas.width - PROFILE_PADDING * 2;
+  const plotHeight = profileCanvas.height - PROFILE_PADDING * 2;
+  return [
+    (canvasX - PROFILE_PADDING) / plotWidth,
+    PROFILE_MAX_Y -
+      ((canvasY - PROFILE_PADDING) / plotHeight) *
+        (PROFILE_MAX_Y - PROFILE_MIN_Y),
+  ];
+}
+
+// Register the custom profile; throws if the expression is invalid
+function applyCustomProfile() {
+  SurfaceEquations.custom =
+    profileEditor.mode === "bezier"
+      ? createBezierSurface(profileEditor.points)
+      : createExpressionSurface(profileEditor.expression);
+}
+
+function setProfileMode(mode) {
+  profileEditor.mode = mode;
+  document
+    .querySelectorAll("#profileModeSelector .surface-btn")
+    .forEach((b) => b.classList.toggle("active", b.dataset.mode === mode));
+}
+
+function selectCustomSurface() {
+  state.surfaceType = "custom";
+  document
+    .querySelectorAll("#surfaceSelector .surface-btn")
+    .forEach((b) =>
+      b.classList.toggle("active", b.dataset.surface === "custom"),
+    );
+  updateFilter();
+}
+
+// Plot the current surface profile and the rays refracted through it.
+// Rays are aimed at where calculateDisplacementMap1D says they land on the
+// background, glassThickness below the bezel.
+function drawProfile() {
+  const ctx = profileCanvas.getContext("2d");
+  const { width, height } = profileCanvas;
+  const color = getComputedStyle(profileCanvas).color;
+  const surfaceFn = SurfaceEquations[state.surfaceType];
+  const samples = 64;
+  const displacements = calculateDisplacementMap1D(
+    state.glassThickness,
+    state.bezelWidth,
+    surfaceFn,
+    state.refractiveIndex,
+    samples,
+  );
+
+  ctx.clearRect(0, 0, width, height);
+
+  // Baseline (height 0) and flat top (height 1)
+  ctx.strokeStyle = color;
+  ctx.globalAlpha = 0.15;
+  ctx.lineWidth = 1;
+  [0, 1].forEach((level) => {
+    const [, y] = profileToCanvas(0, level);
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  });
+
+  // Glass body under the profile
+  ctx.beginPath();
+  ctx.moveTo(...profileToCanvas(0, PROFILE_MIN_Y));
+  for (let i = 0; i <= samples; i++) {
+    ctx.lineTo(...profileToCanvas(i / samples, surfaceFn(i / samples)));
+  }
+  ctx.lineTo(...profileToCanvas(1, PROFILE_MIN_Y));
+  ctx.closePath();
+  ctx.fillStyle = "#667eea";
+  ctx.globalAlpha = 0.12;
+  ctx.fill();
+
+  // Incoming rays and their refracted continuation
+  ctx.lineWidth = 1;
+  for (let i = 0; i < samples; i += 4) {
+    const x = (i + 0.5) / samples;
+    const surfacePoint = profileToCanvas(x, surfaceFn(x));
+    const target = profileToCanvas(
+      x + displacements[i] / state.bezelWidth,
+      -state.glassThickness / state.bezelWidth,
+    );
+    ctx.globalAlpha = 0.2;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(surfacePoint[0], 0);
+    ctx.lineTo(...surfacePoint);
+    ctx.stroke();
+    ctx.globalAlpha = 0.7;
+    ctx.strokeStyle = "#764ba2";
+    ctx.beginPath();
+    ctx.moveTo(...surfacePoint);
+    ctx.lineTo(...target);
+    ctx.stroke();
+  }
+
+  // Profile curve
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = "#667eea";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i <= samples; i++) {
+    ctx.lineTo(...profileToCanvas(i / samples, surfaceFn(i / samples)));
+  }
+  ctx.stroke();
+
+  // Bézier handles
+  if (state.surfaceType === "custom" && profileEditor.mode === "bezier") {
+    const [x1, y1, x2, y2] = profileEditor.points;
+    ctx.strokeStyle = color;
+    ctx.globalAlpha = 0.4;
+    ctx.lineWidth = 1;
+    [
+      [0, 0, x1, y1],
+      [1, 1, x2, y2],
+    ].forEach(([ax, ay, bx, by]) => {
+      ctx.beginPath();
+      ctx.moveTo(...profileToCanvas(ax, ay));
+      ctx.lineTo(...profileToCanvas(bx, by));
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = "#764ba2";
+    [
+      [x1, y1],
+      [x2, y2],
+    ].forEach(([x, y]) => {
+      ctx.beginPath();
+      ctx.arc(...profileToCanvas(x, y), 6, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+}
+
+function initProfileEditor() {
+  applyCustomProfile();
+
+  const modeButtons = document.querySelectorAll(
+    "#profileModeSelector .surface-btn",
+  );
+  const expressionInput = document.getElementById("profileExpression");
+
+  modeButtons.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const previousMode = profileEditor.mode;
+      setProfileMode(btn.dataset.mode);
+      try {
+        applyCustomProfile();
+      } catch (error) {
+        // Keep the Bézier profile until the expression is fixed
+        setProfileMode(previousMode);
+        expressionInput.classList.add("invalid");
+        expressionInput.title = error.message;
+        return;
+      }
+      selectCustomSurface();
+    });
+  });
+
+  expressionInput.addEventListener("input", () => {
+    let surfaceFn;
+    try {
+      surfaceFn = createExpressionSurface(expressionInput.value);
+    } catch (error) {
+      expressionInput.classList.add("invalid");
+      expressionInput.title = error.message;
+      return;
+    }
+    expressionInput.classList.remove("invalid");
+    expressionInput.title = "";
+    profileEditor.expression = expressionInput.value;
+    setProfileMode("expression");
+    SurfaceEquations.custom = surfaceFn;
+    selectCustomSurface();
+  });
+
+  function getCanvasPoint(e) {
+    const rect = profileCanvas.getBoundingClientRect();
+    return [
+      ((e.clientX - rect.left) / rect.width) * profileCanvas.width,
+      ((e.clientY - rect.top) / rect.height) * profileCanvas.height,
+    ];
+  }
+
+  profileCanvas.addEventListener("pointerdown", (e) => {
+    const [canvasX, canvasY] = getCanvasPoint(e);
+    const [x1, y1, x2, y2] = profileEditor.points;
+    const distances = [
+      [x1, y1],
+      [x2, y2],
+    ].map(([x, y]) => {
+      const [handleX, handleY] = profileToCanvas(x, y);
+      return Math.hypot(handleX - canvasX, handleY - canvasY);
+    });
+    const index = distances[0] <= distances[1] ? 0 : 1;
+    if (distances[index] > 16) return;
+
+    profileEditor.dragIndex = index;
+    profileCanvas.setPointerCapture(e.pointerId);
+    setProfileMode("bezier");
+    applyCustomProfile();
+    selectCustomSurface();
+  });
+
+  profileCanvas.addEventListener("pointermove", (e) => {
+    if (profileEditor.dragIndex < 0) return;
+    const [x, y] = canvasToProfile(...getCanvasPoint(e));
+    profileEditor.points[profileEditor.dragIndex * 2] = Math.max(
+      0,
+      Math.min(1, x),
+    );
+    profileEditor.points[profileEditor.dragIndex * 2 + 1] = Math.max(
+      PROFILE_MIN_Y,
+      Math.min(PROFILE_MAX_Y, y),
+    );
+    applyCustomProfile();
+    updateFilter();
+  });
+
+  const endProfileDrag = () => {
+    profileEditor.dragIndex = -1;
+  };
+  profileCanvas.addEventListener("pointerup", endProfileDrag);
+  profileCanvas.addEventListener("pointercancel", endProfileDrag);
+}
+
+// ===== PRESETS =====
+const PRESET_STORAGE_KEY = "liquid-glass-presets";
+const PRESET_HASH_PREFIX = "#preset=";
+// Inputs of the smaller demos, by preset key. Presets drive them like a
+// user would so their own update logic runs.
+const demoPresetInputs = {
+  slider: {
+    specularOpacity: "sliderSpecularOpacity",
+    specularSaturation: "sliderSpecularSaturation",
+    refractionBase: "sliderRefraction",
+    blur: "sliderBlur",
+  },
+  switch: {
+    specularOpacity: "switchSpecularOpacity",
+    specularSaturation: "switchSpecularSaturation",
+    refractionBase: "switchRefraction",
+    blur: "switchBlur",
+  },
+  button: {
+    specularOpacity: "buttonSpecularOpacity",
+    specularSaturation: "buttonSpecularSaturation",
+    refractionBase: "buttonRefraction",
+    pulseStrength: "buttonPulse",
+    blur: "buttonBlur",
+  },
+  segmented: {
+    specularOpacity: "segmentedSpecularOpacity",
+    specularSaturation: "segmentedSpecularSaturation",
+    refractionBase: "segmentedRefraction",
+    blur: "segmentedBlur",
+  },
+  sheet: {
+    specularOpacity: "sheetSpecularOpacity",
+    refractionBase: "sheetRefraction",
+    blur: "sheetBlur",
+    mapScale: "sheetMapScale",
+  },
+};
+const presetName = document.getElementById("presetName");
+let savedPresets = {};
+
+// Presets kept in localStorage, skipping any that no longer parse
+function loadSavedPresets() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) ?? {};
+  } catch (error) {
+    console.warn("Could not load presets:", error.message);
+  }
+  Object.entries(stored).forEach(([name, preset]) => {
+    try {
+      savedPresets[name] = parsePreset(preset);
+    } catch (error) {
+      console.warn(`Skipping preset "${name}":`, error.message);
+    }
+  });
+}
+
+function storeSavedPresets() {
+  try {
+    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(savedPresets));
+  } catch (error) {
+    console.warn("Could not save presets:", error.message);
+  }
+}
+
+function getCurrentPreset(name) {
+  const { mode, points, expression } = profileEditor;
+  return createPreset(name, {
+    main: { ...state, customProfile: { mode, points, expression } },
+    slider: sliderState,
+    switch: switchState,
+    button: buttonState,
+    segmented: segmentedState,
+    sheet: sheetState,
+  });
+}
+
+// Reflect `state` in the main controls without triggering their handlers
+function syncMainControls() {
+  [
+    ["surfaceSelector", "surface", state.surfaceType],
+    ["shapeSelector", "shape", state.shape],
+    ["specularModelSelector", "model", state.specularModel],
+    ["snapSelector", "snapMode", state.snapMode],
+  ].forEach(([selectorId, key, value]) => {
+    document
+      .querySelectorAll(`#${selectorId} .surface-btn`)
+      .forEach((b) => b.classList.toggle("active", b.dataset[key] === value));
+  });
+
+  Object.entries(mainSliders).forEach(([id, config]) => {
+    document.getElementById(id).value = state[config.prop];
+    document.getElementById(id + "Value").textContent = config.format(
+      state[config.prop],
+    );
+  });
+
+  const shapePath = document.getElementById("shapePath");
+  shapePath.value = state.path;
+  shapePath.classList.remove("invalid");
+  shapePath.title = "";
+
+  document
+    .getElementById("dispersionToggle")
+    .classList.toggle("active", state.dispersion);
+  document.getElementById("dispersionValue").textContent = state.dispersion
+    ? "On"
+    : "Off";
+
+  renderLights();
+}
+
+// Apply a parsed preset. Throws before changing anything if its outline
+// or custom profile can't be built.
+function applyPreset(preset) {
+  const { customProfile, ...main } = preset.main ?? {};
+  // Presets may come from a larger screen, the glass has to fit the area
+  const areaRect = getAreaRect();
+  if (main.objectWidth !== undefined) {
+    main.objectWidth = Math.max(
+      MIN_GLASS_WIDTH,
+      Math.min(main.objectWidth, Math.floor(areaRect.width)),
+    );
+  }
+  if (main.objectHeight !== undefined) {
+    main.objectHeight = Math.max(
+      MIN_GLASS_HEIGHT,
+      Math.min(main.objectHeight, Math.floor(areaRect.height)),
+    );
+  }
+  const next = { ...state, ...main };
+  createShape({
+    type: next.shape,
+    width: next.objectWidth,
+    height: next.objectHeight,
+    radius: next.radius,
+    exponent: next.superellipseExponent,
+    path: next.path,
+  });
+  if (customProfile?.mode === "expression") {
+    createExpressionSurface(customProfile.expression);
+  }
+
+  if (customProfile) {
+    profileEditor.points = [...customProfile.points];
+    profileEditor.expression = customProfile.expression;
+    document.getElementById("profileExpression").value =
+      customProfile.expression;
+    setProfileMode(customProfile.mode);
+    applyCustomProfile();
+  }
+  Object.assign(state, main);
+  state.selectedLight = Math.min(state.selectedLight, state.lights.length - 1);
+  setGlassSize(state.objectWidth, state.objectHeight);
+  syncResizeFrame();
+  syncMainControls();
+  updateFilter();
+
+  Object.entries(demoPresetInputs).forEach(([section, inputs]) => {
+    Object.entries(preset[section] ?? {}).forEach(([key, value]) => {
+      const input = document.getElementById(inputs[key]);
+      input.value = value;
+      input.dispatchEvent(new Event("input"));
+    });
+  });
+}
+
+function renderPresets() {
+  const createButton = (label, onClick) => {
+    const btn = document.createElement("button");
+    btn.className = "surface-btn";
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  };
+
+  document.getElementById("presetSelector").replaceChildren(
+    ...Object.values(BuiltInPresets).map((preset) =>
+      createButton(preset.name, () => applyPreset(preset)),
+    ),
+    ...Object.entries(savedPresets).map(([name, preset]) =>
+      createButton(name, () => {
+        presetName.value = name;
+        updatePresetActions();
+        applyPreset(preset);
+      }),
+    ),
+  );
+  updatePresetActions();
+}
+
+function updatePresetActions() {
+  document.getElementById("deletePreset").disabled = !Object.hasOwn(
+    savedPresets,
+    presetName.value.trim(),
+  );
+}
+
+// Failed imports are flagged on the name input
+function setPresetError(error) {
+  presetName.classList.toggle("invalid", Boolean(error));
+  presetName.title = error ? error.message : "";
+}
+
+// A link whose hash reproduces the current parameters
+function getPresetLink() {
+  const url = new URL(location.href);
+  url.hash = PRESET_HASH_PREFIX + encodePreset(getCurrentPreset("Shared"));
+  return url.href;
+}
+
+function applyPresetFromHash() {
+  if (!location.hash.startsWith(PRESET_HASH_PREFIX)) return;
+  try {
+    applyPreset(decodePreset(location.hash.slice(PRESET_HASH_PREFIX.length)));
+  } catch (error) {
+    console.warn("Ignoring invalid preset link:", error.message);
+  }
+}
+
+function initPresets() {
+  loadSavedPresets();
+  renderPresets();
+
+  presetName.addEventListener("input", () => {
+    setPresetError(null);
+    updatePresetActions();
+  });
+
+  document.getElementById("savePreset").addEventListener("click", () => {
+    const name =
+      presetName.value.trim() ||
+      `Preset ${Object.keys(savedPresets).length + 1}`;
+    presetName.value = name;
+    savedPresets[name] = getCurrentPreset(name);
+    storeSavedPresets();
+    renderPresets();
+  });
+
+  document.getElementById("deletePreset").addEventListener("click", () => {
+    delete savedPresets[presetName.value.trim()];
+    storeSavedPresets();
+    renderPresets();
+  });
+
+  document.getElementById("exportPreset").addEventListener("click", () => {
+    const name = presetName.value.trim() || "liquid-glass";
+    const json = JSON.stringify(getCurrentPreset(name), null, 2);
+    downloadBlob(
+      new Blob([json], { type: "application/json" }),
+      `${name}.json`,
+    );
+  });
+
+  const importFile = document.getElementById("importPresetFile");
+  document
+    .getElementById("importPreset")
+    .addEventListener("click", () => importFile.click());
+  importFile.addEventListener("change", async () => {
+    const [file] = importFile.files;
+    importFile.value = "";
+    if (!file) return;
+    try {
+      const preset = parsePreset(await file.text());
+      applyPreset(preset);
+      presetName.value = preset.name;
+      savedPresets[preset.name] = preset;
+      storeSavedPresets();
+      renderPresets();
+      setPresetError(null);
+    } catch (error) {
+      setPresetError(error);
+    }
+  });
+
+  const shareButton = document.getElementById("sharePreset");
+  shareButton.addEventListener("click", async () => {
+    const link = getPresetLink();
+    history.replaceState(null, "", link);
+    try {
+      await navigator.clipboard.writeText(link);
+      shareButton.textContent = "Copied";
+    } catch {
+      // The link is still in the address bar
+      shareButton.textContent = "See Address Bar";
+    }
+    setTimeout(() => (shareButton.textContent = "Copy Link"), 1500);
+  });
+
+  window.addEventListener("hashchange", applyPresetFromHash);
+}
+
+// Initialize
+function init() {
+  mainGlass = createLiquidGlass(glassElement, {
+    width: state.objectWidth,
+    height: state.objectHeight,
+    radius: state.radius,
+  });
+  // The clone fallback filters a live copy of the content
+  createContentMirror(demoContent, demoContentInner);
+  initDragging();
+  initResizing();
+  initControls();
+  initProfileEditor();
+  initLightsEditor();
+  initReactiveLight();
+  initExportPanel();
+  updateFilter();
+  updateContentClonePosition(true);
+  initRenderModes();
+  initDiagnostics();
+
+  springs.scale.value = 0.85;
+  springs.scale.target = 0.85;
+  startAnimationLoop();
+}
+
+// ===== SLIDER DEMO =====
+const sliderConfig = {
+  thumbWidth: 90,
+  thumbHeight: 60,
+  thumbRadius: 30,
+  trackWidth: 330,
   trackHeight: 14,
   bezelWidth: 16,
   glassThickness: 80,
@@ -825,7 +2377,6 @@ const sliderState = {
   specularSaturation: 7,
   refractionBase: 1,
   blur: 0,
-  maximumDisplacement: 0,
 };
 
 const sliderSprings = {
@@ -835,58 +2386,10 @@ const sliderSprings = {
 };
 
 let sliderAnimationFrameId = null;
+let sliderGlass = null;
 
-function getSliderActive() {
-  return sliderState.forceActive || sliderState.pointerDown;
-}
-
-function updateSliderFilter() {
-  const surfaceFn = SurfaceEquations.convex_squircle;
-  const precomputed = calculateDisplacementMap1D(
-    sliderConfig.glassThickness,
-    sliderConfig.bezelWidth,
-    surfaceFn,
-    sliderConfig.refractiveIndex,
-  );
-  sliderState.maximumDisplacement = Math.max(...precomputed.map(Math.abs));
-
-  const displacementData = calculateDisplacementMap2D(
-    sliderConfig.thumbWidth,
-    sliderConfig.thumbHeight,
-    sliderConfig.thumbWidth,
-    sliderConfig.thumbHeight,
-    sliderConfig.thumbRadius,
-    sliderConfig.bezelWidth,
-    sliderState.maximumDisplacement || 1,
-    precomputed,
-  );
-
-  const specularData = calculateSpecularHighlight(
-    sliderConfig.thumbWidth,
-    sliderConfig.thumbHeight,
-    sliderConfig.thumbRadius,
-    sliderConfig.bezelWidth,
-  );
-
-  const displacementUrl = imageDataToDataURL(displacementData);
-  const specularUrl = imageDataToDataURL(specularData);
-
-  document
-    .getElementById("sliderDisplacementImage")
-    .setAttribute("href", displacementUrl);
-  document
-    .getElementById("sliderSpecularImage")
-    .setAttribute("href", specularUrl);
-  document
-    .getElementById("sliderSpecularAlpha")
-    .setAttribute("slope", sliderState.specularOpacity);
-  document
-    .getElementById("sliderFilterBlur")
-    .setAttribute("stdDeviation", sliderState.blur);
-
-  document
-    .getElementById("sliderSaturation")
-    .setAttribute("values", sliderState.specularSaturation);
+function getSliderActive() {
+  return sliderState.forceActive || sliderState.pointerDown;
 }
 
 function sliderAnimationLoop() {
@@ -919,10 +2422,7 @@ function sliderAnimationLoop() {
   sliderThumbClone.style.opacity = cloneOpacity;
 
   // Update displacement scale
-  const dynamicScale = sliderState.maximumDisplacement * scaleRatio;
-  document
-    .getElementById("sliderDisplacementMap")
-    .setAttribute("scale", dynamicScale);
+  sliderGlass.setScale(scaleRatio);
 
   const allSettled = Object.values(sliderSprings).every((s) => s.isSettled());
   if (!allSettled) {
@@ -948,8 +2448,19 @@ function initSliderDemo() {
     "sliderThumbCloneInner",
   );
 
-  updateSliderFilter();
-  sliderThumbClone.style.filter = "url(#sliderGlassFilter)";
+  sliderGlass = createLiquidGlass(sliderThumb, {
+    width: sliderConfig.thumbWidth,
+    height: sliderConfig.thumbHeight,
+    radius: sliderConfig.thumbRadius,
+    bezelWidth: sliderConfig.bezelWidth,
+    glassThickness: sliderConfig.glassThickness,
+    refractiveIndex: sliderConfig.refractiveIndex,
+    refractionScale: sliderSprings.scaleRatio.value,
+    specularOpacity: sliderState.specularOpacity,
+    specularSaturation: sliderState.specularSaturation,
+    blur: sliderState.blur,
+  });
+  sliderThumbClone.style.filter = sliderGlass.filterUrl;
 
   const thumbWidthRest = sliderConfig.thumbWidth * sliderConfig.SCALE_REST;
 
@@ -990,17 +2501,16 @@ function initSliderDemo() {
     );
   }
 
-  function onPointerDown(e) {
-    e.preventDefault();
+  function onPointerDown() {
+    if (sliderState.pointerDown) return false;
     sliderState.pointerDown = true;
     startSliderAnimation();
   }
 
   function onPointerMove(e) {
     if (!sliderState.pointerDown) return;
-    e.preventDefault();
 
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const { clientX } = e;
     const trackRect = sliderTrack.getBoundingClientRect();
 
     const x0 = trackRect.left + thumbWidthRest / 2;
@@ -1019,17 +2529,20 @@ function initSliderDemo() {
     startSliderAnimation();
   }
 
-  sliderThumb.addEventListener("mousedown", onPointerDown);
-  sliderThumb.addEventListener("touchstart", onPointerDown, { passive: false });
-  sliderTrack.addEventListener("mousedown", (e) => {
-    onPointerDown(e);
-    onPointerMove(e);
+  trackPointers(sliderThumb, {
+    onDown: onPointerDown,
+    onMove: onPointerMove,
+    onUp: onPointerUp,
+  });
+  // Pressing the track jumps the thumb to the pointer
+  trackPointers(sliderTrack, {
+    onDown: (e) => {
+      if (onPointerDown() === false) return false;
+      onPointerMove(e);
+    },
+    onMove: onPointerMove,
+    onUp: onPointerUp,
   });
-
-  window.addEventListener("mousemove", onPointerMove);
-  window.addEventListener("touchmove", onPointerMove, { passive: false });
-  window.addEventListener("mouseup", onPointerUp);
-  window.addEventListener("touchend", onPointerUp);
 
   sliderForceActive.addEventListener("change", (e) => {
     sliderState.forceActive = e.target.checked;
@@ -1042,17 +2555,15 @@ function initSliderDemo() {
       prop: "specularOpacity",
       format: (v) => v.toFixed(2),
       update: () =>
-        document
-          .getElementById("sliderSpecularAlpha")
-          .setAttribute("slope", sliderState.specularOpacity),
+        sliderGlass.update({ specularOpacity: sliderState.specularOpacity }),
     },
     sliderSpecularSaturation: {
       prop: "specularSaturation",
       format: (v) => Math.round(v).toString(),
       update: () =>
-        document
-          .getElementById("sliderSaturation")
-          .setAttribute("values", sliderState.specularSaturation),
+        sliderGlass.update({
+          specularSaturation: sliderState.specularSaturation,
+        }),
     },
     sliderRefraction: {
       prop: "refractionBase",
@@ -1062,10 +2573,7 @@ function initSliderDemo() {
     sliderBlur: {
       prop: "blur",
       format: (v) => v.toFixed(1),
-      update: () =>
-        document
-          .getElementById("sliderFilterBlur")
-          .setAttribute("stdDeviation", sliderState.blur),
+      update: () => sliderGlass.update({ blur: sliderState.blur }),
     },
   };
 
@@ -1087,6 +2595,17 @@ function initSliderDemo() {
 }
 
 // ===== SWITCH DEMO =====
+// Drag position clamped to 0..max with a damped overflow past either end.
+// The switch drags between 0 and 1, the segmented control between
+// segment indices.
+function getDampedDragPosition(position, max) {
+  const overflow =
+    position < 0 ? -position : position > max ? position - max : 0;
+  const overflowSign = position < 0 ? -1 : 1;
+  const dampedOverflow = (overflowSign * overflow) / 22;
+  return Math.min(max, Math.max(0, position)) + dampedOverflow;
+}
+
 const switchConfig = {
   trackWidth: 160,
   trackHeight: 67,
@@ -1119,7 +2638,6 @@ const switchState = {
   specularSaturation: 6,
   refractionBase: 1,
   blur: 0.2,
-  maximumDisplacement: 0,
 };
 
 const switchSprings = {
@@ -1131,60 +2649,12 @@ const switchSprings = {
 };
 
 let switchAnimationFrameId = null;
+let switchGlass = null;
 
 function getSwitchActive() {
   return switchState.forceActive || switchState.pointerDown;
 }
 
-function updateSwitchFilter() {
-  const surfaceFn = SurfaceEquations.convex_squircle;
-  const precomputed = calculateDisplacementMap1D(
-    switchConfig.glassThickness,
-    switchConfig.bezelWidth,
-    surfaceFn,
-    switchConfig.refractiveIndex,
-  );
-  switchState.maximumDisplacement = Math.max(...precomputed.map(Math.abs));
-
-  const displacementData = calculateDisplacementMap2D(
-    switchConfig.thumbWidth,
-    switchConfig.thumbHeight,
-    switchConfig.thumbWidth,
-    switchConfig.thumbHeight,
-    switchConfig.thumbRadius,
-    switchConfig.bezelWidth,
-    switchState.maximumDisplacement || 1,
-    precomputed,
-  );
-
-  const specularData = calculateSpecularHighlight(
-    switchConfig.thumbWidth,
-    switchConfig.thumbHeight,
-    switchConfig.thumbRadius,
-    switchConfig.bezelWidth,
-  );
-
-  const displacementUrl = imageDataToDataURL(displacementData);
-  const specularUrl = imageDataToDataURL(specularData);
-
-  document
-    .getElementById("switchDisplacementImage")
-    .setAttribute("href", displacementUrl);
-  document
-    .getElementById("switchSpecularImage")
-    .setAttribute("href", specularUrl);
-  document
-    .getElementById("switchSpecularAlpha")
-    .setAttribute("slope", switchState.specularOpacity);
-  document
-    .getElementById("switchFilterBlur")
-    .setAttribute("stdDeviation", switchState.blur);
-
-  document
-    .getElementById("switchSaturation")
-    .setAttribute("values", switchState.specularSaturation);
-}
-
 function switchAnimationLoop() {
   const dt = Math.min(0.032, 1 / 60);
   const isActive = getSwitchActive();
@@ -1286,146 +2756,1211 @@ function switchAnimationLoop() {
   switchThumbCloneInner.style.setProperty("--track-top", `${containerTop}px`);
 
   // Update displacement scale
-  const dynamicScale = switchState.maximumDisplacement * scaleRatio;
-  document
-    .getElementById("switchDisplacementMap")
-    .setAttribute("scale", dynamicScale);
+  switchGlass.setScale(scaleRatio);
+
+  const allSettled = Object.values(switchSprings).every((s) => s.isSettled());
+  if (!allSettled) {
+    switchAnimationFrameId = requestAnimationFrame(switchAnimationLoop);
+  } else {
+    switchAnimationFrameId = null;
+  }
+}
+
+function startSwitchAnimation() {
+  if (!switchAnimationFrameId) {
+    switchAnimationFrameId = requestAnimationFrame(switchAnimationLoop);
+  }
+}
+
+function initSwitchDemo() {
+  const switchThumb = document.getElementById("switchThumb");
+  const switchTrack = document.getElementById("switchTrack");
+  const switchThumbClone = document.getElementById("switchThumbClone");
+  const switchForceActive = document.getElementById("switchForceActive");
+
+  switchGlass = createLiquidGlass(switchThumb, {
+    width: switchConfig.thumbWidth,
+    height: switchConfig.thumbHeight,
+    radius: switchConfig.thumbRadius,
+    bezelWidth: switchConfig.bezelWidth,
+    glassThickness: switchConfig.glassThickness,
+    refractiveIndex: switchConfig.refractiveIndex,
+    refractionScale: switchSprings.scaleRatio.value,
+    specularOpacity: switchState.specularOpacity,
+    specularSaturation: switchState.specularSaturation,
+    blur: switchState.blur,
+  });
+  switchThumbClone.style.filter = switchGlass.filterUrl;
+
+  function onPointerDown(e) {
+    switchState.pointerDown = true;
+    switchState.initialPointerX = e.clientX;
+    switchState.xDragRatio = switchState.checked ? 1 : 0;
+    startSwitchAnimation();
+  }
+
+  function onPointerMove(e) {
+    if (!switchState.pointerDown) return;
+
+    const { clientX } = e;
+    const baseRatio = switchState.checked ? 1 : 0;
+    const displacementX = clientX - switchState.initialPointerX;
+    const ratio = baseRatio + displacementX / switchConfig.TRAVEL;
+    switchState.xDragRatio = getDampedDragPosition(ratio, 1);
+
+    switchSprings.xRatio.setTarget(switchState.xDragRatio);
+    startSwitchAnimation();
+  }
+
+  function onPointerUp(e) {
+    if (!switchState.pointerDown) return;
+    switchState.pointerDown = false;
+
+    const distance = Math.abs(e.clientX - switchState.initialPointerX);
+
+    if (e.type === "pointerup" && distance < 4) {
+      // Click - toggle
+      switchState.checked = !switchState.checked;
+    } else {
+      // Drag - decide based on position
+      switchState.checked = switchState.xDragRatio > 0.5;
+    }
+
+    startSwitchAnimation();
+  }
+
+  trackPointers(switchThumb, {
+    onDown: onPointerDown,
+    onMove: onPointerMove,
+    onUp: onPointerUp,
+  });
+
+  switchTrack.addEventListener("click", (e) => {
+    if (e.target === switchTrack) {
+      switchState.checked = !switchState.checked;
+      startSwitchAnimation();
+    }
+  });
+
+  switchForceActive.addEventListener("change", (e) => {
+    switchState.forceActive = e.target.checked;
+    startSwitchAnimation();
+  });
+
+  // Setup controls
+  const switchControls = {
+    switchSpecularOpacity: {
+      prop: "specularOpacity",
+      format: (v) => v.toFixed(2),
+      update: () =>
+        switchGlass.update({ specularOpacity: switchState.specularOpacity }),
+    },
+    switchSpecularSaturation: {
+      prop: "specularSaturation",
+      format: (v) => Math.round(v).toString(),
+      update: () =>
+        switchGlass.update({
+          specularSaturation: switchState.specularSaturation,
+        }),
+    },
+    switchRefraction: {
+      prop: "refractionBase",
+      format: (v) => v.toFixed(2),
+      update: () => startSwitchAnimation(),
+    },
+    switchBlur: {
+      prop: "blur",
+      format: (v) => v.toFixed(1),
+      update: () => switchGlass.update({ blur: switchState.blur }),
+    },
+  };
+
+  Object.entries(switchControls).forEach(([id, config]) => {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + "Value");
+    slider.addEventListener("input", () => {
+      const value = parseFloat(slider.value);
+      switchState[config.prop] = value;
+      valueDisplay.textContent = config.format(value);
+      config.update();
+    });
+  });
+
+  // Initial render
+  startSwitchAnimation();
+}
+
+// ===== BUTTON DEMO =====
+const buttonConfig = {
+  width: 200,
+  height: 72,
+  radius: 36,
+  bezelWidth: 22,
+  glassThickness: 90,
+  refractiveIndex: 1.5,
+  SCALE_REST: 1,
+  SCALE_HOVER: 1.04,
+  SCALE_PRESS: 0.92,
+  LIFT_HOVER: -4, // px
+  // Velocity kicked into the pulse spring on click
+  PULSE_VELOCITY: 12,
+};
+
+const buttonState = {
+  hover: false,
+  pointerDown: false,
+  keyDown: false,
+  forceActive: false,
+  specularOpacity: 0.6,
+  specularSaturation: 6,
+  refractionBase: 0.8,
+  pulseStrength: 1,
+  blur: 0.3,
+};
+
+const buttonSprings = {
+  scale: new Spring(buttonConfig.SCALE_REST, 2000, 80),
+  lift: new Spring(0, 600, 40),
+  scaleRatio: new Spring(0.4, 100, 10), // motion default: stiffness=100, damping=10
+  // Rests at 0, a click kicks it so the refraction swells and rings out
+  pulse: new Spring(0, 300, 12),
+};
+
+let buttonAnimationFrameId = null;
+let buttonGlass = null;
+
+function getButtonActive() {
+  return (
+    buttonState.forceActive || buttonState.pointerDown || buttonState.keyDown
+  );
+}
+
+function buttonAnimationLoop() {
+  const dt = Math.min(0.032, 1 / 60);
+  const isActive = getButtonActive();
+
+  buttonSprings.scale.setTarget(
+    isActive
+      ? buttonConfig.SCALE_PRESS
+      : buttonState.hover
+        ? buttonConfig.SCALE_HOVER
+        : buttonConfig.SCALE_REST,
+  );
+  buttonSprings.lift.setTarget(
+    buttonState.hover && !isActive ? buttonConfig.LIFT_HOVER : 0,
+  );
+  const pressMultiplier = isActive ? 0.9 : 0.4;
+  buttonSprings.scaleRatio.setTarget(
+    pressMultiplier * buttonState.refractionBase,
+  );
+
+  const scale = buttonSprings.scale.update(dt);
+  const lift = buttonSprings.lift.update(dt);
+  const scaleRatio = buttonSprings.scaleRatio.update(dt);
+  const pulse = buttonSprings.pulse.update(dt);
+
+  const glassButton = document.getElementById("glassButton");
+  const glassButtonCloneInner = document.getElementById(
+    "glassButtonCloneInner",
+  );
+
+  glassButton.style.transform = `translateY(${lift}px) scale(${scale})`;
+  // Shadow deepens as the button lifts
+  const liftRatio = lift / buttonConfig.LIFT_HOVER;
+  glassButton.style.boxShadow = `0 ${4 + 6 * liftRatio}px ${22 + 10 * liftRatio}px rgba(0, 0, 0, ${0.1 + 0.05 * liftRatio})`;
+
+  // Keep the clone aligned with the area behind the lifted button
+  const buttonDemoArea = document.getElementById("buttonDemoArea");
+  glassButtonCloneInner.style.width = buttonDemoArea.clientWidth + "px";
+  glassButtonCloneInner.style.height = buttonDemoArea.clientHeight + "px";
+  glassButtonCloneInner.style.transform = `translate(${-glassButton.offsetLeft}px, ${-(glassButton.offsetTop + lift)}px)`;
+
+  // Update displacement scale
+  buttonGlass.setScale(Math.max(0, scaleRatio + pulse));
+
+  const allSettled = Object.values(buttonSprings).every((s) => s.isSettled());
+  if (!allSettled) {
+    buttonAnimationFrameId = requestAnimationFrame(buttonAnimationLoop);
+  } else {
+    buttonAnimationFrameId = null;
+  }
+}
+
+function startButtonAnimation() {
+  if (!buttonAnimationFrameId) {
+    buttonAnimationFrameId = requestAnimationFrame(buttonAnimationLoop);
+  }
+}
+
+function initButtonDemo() {
+  const glassButton = document.getElementById("glassButton");
+  const glassButtonClone = document.getElementById("glassButtonClone");
+  const buttonForceActive = document.getElementById("buttonForceActive");
+
+  buttonGlass = createLiquidGlass(glassButton, {
+    width: buttonConfig.width,
+    height: buttonConfig.height,
+    radius: buttonConfig.radius,
+    bezelWidth: buttonConfig.bezelWidth,
+    glassThickness: buttonConfig.glassThickness,
+    refractiveIndex: buttonConfig.refractiveIndex,
+    refractionScale: buttonSprings.scaleRatio.value,
+    specularOpacity: buttonState.specularOpacity,
+    specularSaturation: buttonState.specularSaturation,
+    blur: buttonState.blur,
+  });
+  glassButtonClone.style.filter = buttonGlass.filterUrl;
+
+  // Hover only applies to devices that can hover
+  glassButton.addEventListener("pointerenter", (e) => {
+    if (e.pointerType !== "mouse") return;
+    buttonState.hover = true;
+    startButtonAnimation();
+  });
+  glassButton.addEventListener("pointerleave", () => {
+    buttonState.hover = false;
+    buttonState.pointerDown = false;
+    startButtonAnimation();
+  });
+  glassButton.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0) return;
+    buttonState.pointerDown = true;
+    startButtonAnimation();
+  });
+  const endPress = () => {
+    buttonState.pointerDown = false;
+    startButtonAnimation();
+  };
+  glassButton.addEventListener("pointerup", endPress);
+  glassButton.addEventListener("pointercancel", endPress);
+
+  // Enter and Space press the button like a pointer would
+  glassButton.addEventListener("keydown", (e) => {
+    if ((e.key === "Enter" || e.key === " ") && !e.repeat) {
+      buttonState.keyDown = true;
+      startButtonAnimation();
+    }
+  });
+  glassButton.addEventListener("keyup", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      buttonState.keyDown = false;
+      startButtonAnimation();
+    }
+  });
+  glassButton.addEventListener("blur", () => {
+    buttonState.keyDown = false;
+    startButtonAnimation();
+  });
+
+  // Refraction pulse, also for keyboard and assistive technology clicks
+  glassButton.addEventListener("click", () => {
+    buttonSprings.pulse.velocity +=
+      buttonConfig.PULSE_VELOCITY * buttonState.pulseStrength;
+    startButtonAnimation();
+  });
+
+  buttonForceActive.addEventListener("change", (e) => {
+    buttonState.forceActive = e.target.checked;
+    startButtonAnimation();
+  });
+
+  // Setup controls
+  const buttonControls = {
+    buttonSpecularOpacity: {
+      prop: "specularOpacity",
+      format: (v) => v.toFixed(2),
+      update: () =>
+        buttonGlass.update({ specularOpacity: buttonState.specularOpacity }),
+    },
+    buttonSpecularSaturation: {
+      prop: "specularSaturation",
+      format: (v) => Math.round(v).toString(),
+      update: () =>
+        buttonGlass.update({
+          specularSaturation: buttonState.specularSaturation,
+        }),
+    },
+    buttonRefraction: {
+      prop: "refractionBase",
+      format: (v) => v.toFixed(2),
+      update: () => startButtonAnimation(),
+    },
+    buttonPulse: {
+      prop: "pulseStrength",
+      format: (v) => v.toFixed(2),
+      update: () => {},
+    },
+    buttonBlur: {
+      prop: "blur",
+      format: (v) => v.toFixed(1),
+      update: () => buttonGlass.update({ blur: buttonState.blur }),
+    },
+  };
+
+  Object.entries(buttonControls).forEach(([id, config]) => {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + "Value");
+    slider.addEventListener("input", () => {
+      const value = parseFloat(slider.value);
+      buttonState[config.prop] = value;
+      valueDisplay.textContent = config.format(value);
+      config.update();
+    });
+  });
+
+  // Initial render
+  window.addEventListener("resize", startButtonAnimation);
+  startButtonAnimation();
+}
+
+// ===== SEGMENTED CONTROL DEMO =====
+const segmentedConfig = {
+  trackWidth: 360,
+  trackHeight: 52,
+  inset: 4,
+  bezelWidth: 16,
+  glassThickness: 60,
+  refractiveIndex: 1.5,
+  SCALE_REST: 1,
+  SCALE_ACTIVE: 1.08,
+  labels: ["Day", "Week", "Month", "Year", "All"],
+};
+
+const segmentedState = {
+  count: 4,
+  selected: 0,
+  pointerDown: false,
+  forceActive: false,
+  isDragging: false,
+  initialPointerX: 0,
+  dragPosition: 0,
+  specularOpacity: 0.5,
+  specularSaturation: 6,
+  refractionBase: 1,
+  blur: 0,
+};
+
+const segmentedSprings = {
+  // Lens position in segments, like switchSprings.xRatio over N positions
+  position: new Spring(0, 1000, 80),
+  scale: new Spring(segmentedConfig.SCALE_REST, 2000, 80),
+  scaleRatio: new Spring(0.4, 100, 10), // motion default: stiffness=100, damping=10
+};
+
+let segmentedAnimationFrameId = null;
+let segmentedGlass = null;
+
+function getSegmentWidth() {
+  return segmentedConfig.trackWidth / segmentedState.count;
+}
+
+function getLensSize() {
+  return {
+    width: getSegmentWidth() - segmentedConfig.inset * 2,
+    height: segmentedConfig.trackHeight - segmentedConfig.inset * 2,
+  };
+}
+
+function getSegmentedActive() {
+  return segmentedState.forceActive || segmentedState.isDragging;
+}
+
+function segmentedAnimationLoop() {
+  const dt = Math.min(0.032, 1 / 60);
+  const isActive = getSegmentedActive();
+
+  if (!segmentedState.isDragging) {
+    segmentedSprings.position.setTarget(segmentedState.selected);
+  }
+  segmentedSprings.scale.setTarget(
+    isActive ? segmentedConfig.SCALE_ACTIVE : segmentedConfig.SCALE_REST,
+  );
+  const pressMultiplier = isActive ? 0.9 : 0.4;
+  segmentedSprings.scaleRatio.setTarget(
+    pressMultiplier * segmentedState.refractionBase,
+  );
+
+  const position = segmentedSprings.position.update(dt);
+  const scale = segmentedSprings.scale.update(dt);
+  const scaleRatio = segmentedSprings.scaleRatio.update(dt);
+
+  const segmentedLens = document.getElementById("segmentedLens");
+  const segmentedLensCloneInner = document.getElementById(
+    "segmentedLensCloneInner",
+  );
+
+  const lensX = segmentedConfig.inset + position * getSegmentWidth();
+  segmentedLens.style.left = lensX + "px";
+  segmentedLens.style.transform = `scale(${scale})`;
+  // The clone repeats the whole track, shifted to sit behind the lens
+  segmentedLensCloneInner.style.transform = `translate(${-lensX}px, ${-segmentedConfig.inset}px)`;
+
+  // Update displacement scale
+  segmentedGlass.setScale(scaleRatio);
 
-  const allSettled = Object.values(switchSprings).every((s) => s.isSettled());
+  const allSettled = Object.values(segmentedSprings).every((s) =>
+    s.isSettled(),
+  );
   if (!allSettled) {
-    switchAnimationFrameId = requestAnimationFrame(switchAnimationLoop);
+    segmentedAnimationFrameId = requestAnimationFrame(segmentedAnimationLoop);
   } else {
-    switchAnimationFrameId = null;
+    segmentedAnimationFrameId = null;
   }
 }
 
-function startSwitchAnimation() {
-  if (!switchAnimationFrameId) {
-    switchAnimationFrameId = requestAnimationFrame(switchAnimationLoop);
+function startSegmentedAnimation() {
+  if (!segmentedAnimationFrameId) {
+    segmentedAnimationFrameId = requestAnimationFrame(segmentedAnimationLoop);
   }
 }
 
-function initSwitchDemo() {
-  const switchThumb = document.getElementById("switchThumb");
-  const switchTrack = document.getElementById("switchTrack");
-  const switchThumbClone = document.getElementById("switchThumbClone");
-  const switchForceActive = document.getElementById("switchForceActive");
-
-  updateSwitchFilter();
-  switchThumbClone.style.filter = "url(#switchGlassFilter)";
+function initSegmentedDemo() {
+  const segmentedControl = document.getElementById("segmentedControl");
+  const segmentedLens = document.getElementById("segmentedLens");
+  const segmentedLensClone = document.getElementById("segmentedLensClone");
+  const segmentedLensCloneInner = document.getElementById(
+    "segmentedLensCloneInner",
+  );
+  const segmentedPanel = document.getElementById("segmentedPanel");
+  const segmentedForceActive = document.getElementById("segmentedForceActive");
+  let tabs = [];
+
+  segmentedGlass = createLiquidGlass(segmentedLens, {
+    ...getLensSize(),
+    radius: getLensSize().height / 2,
+    bezelWidth: segmentedConfig.bezelWidth,
+    glassThickness: segmentedConfig.glassThickness,
+    refractiveIndex: segmentedConfig.refractiveIndex,
+    refractionScale: segmentedSprings.scaleRatio.value,
+    specularOpacity: segmentedState.specularOpacity,
+    specularSaturation: segmentedState.specularSaturation,
+    blur: segmentedState.blur,
+  });
+  segmentedLensClone.style.filter = segmentedGlass.filterUrl;
 
-  function onPointerDown(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    switchState.pointerDown = true;
-    switchState.initialPointerX = e.touches ? e.touches[0].clientX : e.clientX;
-    switchState.xDragRatio = switchState.checked ? 1 : 0;
-    startSwitchAnimation();
+  function selectSegment(index, focus = false) {
+    segmentedState.selected = index;
+    tabs.forEach((tab, i) => {
+      tab.setAttribute("aria-selected", String(i === index));
+      tab.tabIndex = i === index ? 0 : -1;
+    });
+    segmentedPanel.textContent = `${tabs[index].textContent} view`;
+    segmentedPanel.setAttribute("aria-labelledby", tabs[index].id);
+    if (focus) tabs[index].focus();
+    startSegmentedAnimation();
   }
 
-  function onPointerMove(e) {
-    if (!switchState.pointerDown) return;
-    e.stopPropagation();
-
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const baseRatio = switchState.checked ? 1 : 0;
-    const displacementX = clientX - switchState.initialPointerX;
-    let ratio = baseRatio + displacementX / switchConfig.TRAVEL;
-
-    // Damped overflow
-    const overflow = ratio < 0 ? -ratio : ratio > 1 ? ratio - 1 : 0;
-    const overflowSign = ratio < 0 ? -1 : 1;
-    const dampedOverflow = (overflowSign * overflow) / 22;
-    switchState.xDragRatio = Math.min(1, Math.max(0, ratio)) + dampedOverflow;
+  // Tabs, the labels repeated inside the lens clone and a lens sized to
+  // one segment
+  function renderSegments() {
+    const labels = segmentedConfig.labels.slice(0, segmentedState.count);
+    tabs = labels.map((label, i) => {
+      const tab = document.createElement("button");
+      tab.className = "segmented-tab";
+      tab.id = `segmentedTab${i}`;
+      tab.type = "button";
+      tab.setAttribute("role", "tab");
+      tab.setAttribute("aria-controls", "segmentedPanel");
+      tab.textContent = label;
+      tab.addEventListener("click", () => selectSegment(i));
+      return tab;
+    });
+    segmentedControl.replaceChildren(segmentedLens, ...tabs);
+    segmentedLensCloneInner.replaceChildren(
+      ...labels.map((label) => {
+        const span = document.createElement("span");
+        span.className = "segmented-label";
+        span.textContent = label;
+        return span;
+      }),
+    );
 
-    switchSprings.xRatio.setTarget(switchState.xDragRatio);
-    startSwitchAnimation();
+    const lensSize = getLensSize();
+    segmentedLens.style.width = lensSize.width + "px";
+    segmentedGlass.update({ ...lensSize, radius: lensSize.height / 2 });
+    selectSegment(Math.min(segmentedState.selected, labels.length - 1));
   }
 
-  function onPointerUp(e) {
-    if (!switchState.pointerDown) return;
-    switchState.pointerDown = false;
-
-    const clientX = e.changedTouches ? e.changedTouches[0].clientX : e.clientX;
-    const distance = Math.abs(clientX - switchState.initialPointerX);
+  function getSegmentAt(clientX) {
+    const rect = segmentedControl.getBoundingClientRect();
+    const index = Math.floor((clientX - rect.left) / getSegmentWidth());
+    return Math.min(segmentedState.count - 1, Math.max(0, index));
+  }
 
-    if (distance < 4) {
-      // Click - toggle
-      switchState.checked = !switchState.checked;
-    } else {
-      // Drag - decide based on position
-      switchState.checked = switchState.xDragRatio > 0.5;
+  // Dragging starts on the selected segment, which the lens covers
+  segmentedControl.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0) return;
+    segmentedState.pointerDown = true;
+    segmentedState.initialPointerX = e.clientX;
+    segmentedState.dragPosition = segmentedState.selected;
+    if (getSegmentAt(e.clientX) === segmentedState.selected) {
+      segmentedControl.setPointerCapture(e.pointerId);
     }
+  });
 
-    startSwitchAnimation();
-  }
+  segmentedControl.addEventListener("pointermove", (e) => {
+    if (
+      !segmentedState.pointerDown ||
+      !segmentedControl.hasPointerCapture(e.pointerId)
+    ) {
+      return;
+    }
+    const displacementX = e.clientX - segmentedState.initialPointerX;
+    if (!segmentedState.isDragging && Math.abs(displacementX) < 4) return;
 
-  switchThumb.addEventListener("mousedown", onPointerDown);
-  switchThumb.addEventListener("touchstart", onPointerDown, { passive: false });
+    segmentedState.isDragging = true;
+    segmentedState.dragPosition = getDampedDragPosition(
+      segmentedState.selected + displacementX / getSegmentWidth(),
+      segmentedState.count - 1,
+    );
+    segmentedSprings.position.setTarget(segmentedState.dragPosition);
+    startSegmentedAnimation();
+  });
 
-  switchTrack.addEventListener("click", (e) => {
-    if (e.target === switchTrack) {
-      switchState.checked = !switchState.checked;
-      startSwitchAnimation();
+  // A drag snaps to the nearest segment, a tap selects the segment under
+  // the pointer
+  function onPointerUp(e) {
+    if (!segmentedState.pointerDown) return;
+    segmentedState.pointerDown = false;
+    if (segmentedState.isDragging) {
+      segmentedState.isDragging = false;
+      selectSegment(
+        Math.min(
+          segmentedState.count - 1,
+          Math.max(0, Math.round(segmentedState.dragPosition)),
+        ),
+      );
+    } else if (e.type === "pointerup") {
+      selectSegment(getSegmentAt(e.clientX));
     }
+  }
+  segmentedControl.addEventListener("pointerup", onPointerUp);
+  segmentedControl.addEventListener("pointercancel", onPointerUp);
+
+  // Arrow keys, Home and End move the selection and focus together
+  segmentedControl.addEventListener("keydown", (e) => {
+    const last = segmentedState.count - 1;
+    const index = {
+      ArrowLeft: segmentedState.selected - 1,
+      ArrowUp: segmentedState.selected - 1,
+      ArrowRight: segmentedState.selected + 1,
+      ArrowDown: segmentedState.selected + 1,
+      Home: 0,
+      End: last,
+    }[e.key];
+    if (index === undefined) return;
+    e.preventDefault();
+    selectSegment((index + last + 1) % (last + 1), true);
   });
 
-  window.addEventListener("mousemove", onPointerMove);
-  window.addEventListener("touchmove", onPointerMove, { passive: false });
-  window.addEventListener("mouseup", onPointerUp);
-  window.addEventListener("touchend", onPointerUp);
-
-  switchForceActive.addEventListener("change", (e) => {
-    switchState.forceActive = e.target.checked;
-    startSwitchAnimation();
+  segmentedForceActive.addEventListener("change", (e) => {
+    segmentedState.forceActive = e.target.checked;
+    startSegmentedAnimation();
   });
 
   // Setup controls
-  const switchControls = {
-    switchSpecularOpacity: {
+  const segmentedControls = {
+    segmentedCount: {
+      prop: "count",
+      format: (v) => Math.round(v).toString(),
+      update: () => renderSegments(),
+    },
+    segmentedSpecularOpacity: {
       prop: "specularOpacity",
       format: (v) => v.toFixed(2),
       update: () =>
-        document
-          .getElementById("switchSpecularAlpha")
-          .setAttribute("slope", switchState.specularOpacity),
+        segmentedGlass.update({
+          specularOpacity: segmentedState.specularOpacity,
+        }),
     },
-    switchSpecularSaturation: {
+    segmentedSpecularSaturation: {
       prop: "specularSaturation",
       format: (v) => Math.round(v).toString(),
       update: () =>
-        document
-          .getElementById("switchSaturation")
-          .setAttribute("values", switchState.specularSaturation),
+        segmentedGlass.update({
+          specularSaturation: segmentedState.specularSaturation,
+        }),
     },
-    switchRefraction: {
+    segmentedRefraction: {
       prop: "refractionBase",
       format: (v) => v.toFixed(2),
-      update: () => startSwitchAnimation(),
+      update: () => startSegmentedAnimation(),
     },
-    switchBlur: {
+    segmentedBlur: {
       prop: "blur",
       format: (v) => v.toFixed(1),
+      update: () => segmentedGlass.update({ blur: segmentedState.blur }),
+    },
+  };
+
+  Object.entries(segmentedControls).forEach(([id, config]) => {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + "Value");
+    slider.addEventListener("input", () => {
+      const value = parseFloat(slider.value);
+      segmentedState[config.prop] = value;
+      valueDisplay.textContent = config.format(value);
+      config.update();
+    });
+  });
+
+  // Initial render
+  renderSegments();
+}
+
+// ===== SHEET DEMO =====
+const sheetConfig = {
+  width: 600,
+  height: 400,
+  radius: 32,
+  // Space kept around the sheet in small demo areas
+  margin: 16,
+  bezelWidth: 40,
+  glassThickness: 120,
+  refractiveIndex: 1.5,
+  SCALE_CLOSED: 0.92,
+};
+
+const sheetState = {
+  open: false,
+  // Sheet position in the demo area, measured when it opens or resizes
+  left: 0,
+  top: 0,
+  areaHeight: 0,
+  scrollTop: 0,
+  specularOpacity: 0.6,
+  refractionBase: 1,
+  blur: 1,
+  mapScale: 0.5,
+};
+
+const sheetSprings = {
+  // 0 closed, 1 open
+  progress: new Spring(0, 300, 26),
+};
+
+let sheetAnimationFrameId = null;
+let sheetGlass = null;
+let sheetOpener = null;
+
+function sheetAnimationLoop() {
+  const dt = Math.min(0.032, 1 / 60);
+  sheetSprings.progress.setTarget(sheetState.open ? 1 : 0);
+  const progress = sheetSprings.progress.update(dt);
+
+  const glassSheet = document.getElementById("glassSheet");
+  const offsetY = (1 - progress) * (sheetState.areaHeight - sheetState.top);
+  const scale =
+    sheetConfig.SCALE_CLOSED + (1 - sheetConfig.SCALE_CLOSED) * progress;
+  glassSheet.style.transform = `translateY(${offsetY}px) scale(${scale})`;
+  glassSheet.style.opacity = Math.min(1, Math.max(0, progress * 2));
+  updateSheetClonePosition(offsetY);
+
+  // Refraction swells in as the sheet settles
+  sheetGlass.setScale(Math.max(0, progress) * sheetState.refractionBase);
+
+  if (!sheetSprings.progress.isSettled()) {
+    sheetAnimationFrameId = requestAnimationFrame(sheetAnimationLoop);
+  } else {
+    sheetAnimationFrameId = null;
+    if (!sheetState.open) glassSheet.hidden = true;
+  }
+}
+
+function startSheetAnimation() {
+  if (!sheetAnimationFrameId) {
+    sheetAnimationFrameId = requestAnimationFrame(sheetAnimationLoop);
+  }
+}
+
+// The clone of the scrolling content is only moved with a transform, from
+// positions measured up front, so scrolling never forces a layout
+function updateSheetClonePosition(offsetY = 0) {
+  if (useBackdropFilter) return;
+  const cloneContent = document.getElementById("glassSheetClone").firstChild;
+  if (!cloneContent) return;
+  cloneContent.style.transform = `translate(${-sheetState.left}px, ${-(sheetState.top + offsetY + sheetState.scrollTop)}px)`;
+}
+
+// Fit the sheet into the demo area and centre it. Only a new size
+// regenerates the maps.
+function layoutSheet() {
+  const sheetDemoArea = document.getElementById("sheetDemoArea");
+  const glassSheet = document.getElementById("glassSheet");
+  const areaWidth = sheetDemoArea.clientWidth;
+  const areaHeight = sheetDemoArea.clientHeight;
+  // Not laid out (e.g. display: none)
+  if (!areaWidth || !areaHeight) return;
+  const width = Math.min(sheetConfig.width, areaWidth - sheetConfig.margin * 2);
+  const height = Math.min(
+    sheetConfig.height,
+    areaHeight - sheetConfig.margin * 2,
+  );
+
+  sheetState.left = (areaWidth - width) / 2;
+  sheetState.top = (areaHeight - height) / 2;
+  sheetState.areaHeight = areaHeight;
+  glassSheet.style.left = sheetState.left + "px";
+  glassSheet.style.top = sheetState.top + "px";
+  glassSheet.style.width = width + "px";
+  glassSheet.style.height = height + "px";
+  // Match the scroller's layout, which excludes its scrollbar
+  document.getElementById("glassSheetClone").firstChild.style.width =
+    document.getElementById("sheetScroller").clientWidth + "px";
+
+  sheetGlass.update({ width, height });
+  updateSheetClonePosition();
+}
+
+function setSheetRenderMode() {
+  const glassSheet = document.getElementById("glassSheet");
+  glassSheet.classList.toggle("use-backdrop-filter", useBackdropFilter);
+  updateSheetClonePosition();
+}
+
+function initSheetDemo() {
+  const sheetScroller = document.getElementById("sheetScroller");
+  const sheetContent = document.getElementById("sheetContent");
+  const glassSheet = document.getElementById("glassSheet");
+  const glassSheetClone = document.getElementById("glassSheetClone");
+  const sheetOpen = document.getElementById("sheetOpen");
+  const sheetClose = document.getElementById("sheetClose");
+
+  // Colourful cards to scroll behind the sheet
+  sheetContent.replaceChildren(
+    ...Array.from({ length: 36 }, (_, i) => {
+      const card = document.createElement("div");
+      card.className = "sheet-card";
+      const hue = (i * 37) % 360;
+      card.style.background = `linear-gradient(135deg, hsl(${hue}, 80%, 60%), hsl(${hue + 40}, 80%, 45%))`;
+      card.textContent = `Card ${i + 1}`;
+      return card;
+    }),
+  );
+  const cloneContent = sheetContent.cloneNode(true);
+  cloneContent.removeAttribute("id");
+  glassSheetClone.replaceChildren(cloneContent);
+
+  sheetGlass = createLiquidGlass(glassSheet, {
+    width: sheetConfig.width,
+    height: sheetConfig.height,
+    radius: sheetConfig.radius,
+    bezelWidth: sheetConfig.bezelWidth,
+    glassThickness: sheetConfig.glassThickness,
+    refractiveIndex: sheetConfig.refractiveIndex,
+    refractionScale: 0,
+    specularOpacity: sheetState.specularOpacity,
+    blur: sheetState.blur,
+    mapScale: sheetState.mapScale,
+  });
+  glassSheetClone.style.filter = sheetGlass.filterUrl;
+  setSheetRenderMode();
+  layoutSheet();
+
+  function openSheet() {
+    sheetOpener = document.activeElement;
+    sheetState.open = true;
+    glassSheet.hidden = false;
+    sheetClose.focus();
+    startSheetAnimation();
+  }
+
+  function closeSheet() {
+    sheetState.open = false;
+    sheetOpener?.focus();
+    startSheetAnimation();
+  }
+
+  sheetOpen.addEventListener("click", openSheet);
+  sheetClose.addEventListener("click", closeSheet);
+
+  // Escape closes the sheet, Tab stays inside it
+  glassSheet.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      closeSheet();
+    } else if (e.key === "Tab") {
+      const focusable = [...glassSheet.querySelectorAll("button")];
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+  });
+
+  // Wheel over the sheet scrolls the content behind it
+  glassSheet.addEventListener(
+    "wheel",
+    (e) => {
+      sheetScroller.scrollTop += e.deltaY;
+    },
+    { passive: true },
+  );
+
+  let scrollFrameId = null;
+  sheetScroller.addEventListener(
+    "scroll",
+    () => {
+      sheetState.scrollTop = sheetScroller.scrollTop;
+      if (scrollFrameId) return;
+      scrollFrameId = requestAnimationFrame(() => {
+        scrollFrameId = null;
+        updateSheetClonePosition();
+      });
+    },
+    { passive: true },
+  );
+
+  window.addEventListener("resize", debounce(layoutSheet, 100, 300));
+
+  // Setup controls
+  const sheetControls = {
+    sheetSpecularOpacity: {
+      prop: "specularOpacity",
+      format: (v) => v.toFixed(2),
       update: () =>
+        sheetGlass.update({ specularOpacity: sheetState.specularOpacity }),
+    },
+    sheetRefraction: {
+      prop: "refractionBase",
+      format: (v) => v.toFixed(2),
+      update: () => startSheetAnimation(),
+    },
+    sheetBlur: {
+      prop: "blur",
+      format: (v) => v.toFixed(1),
+      update: () => sheetGlass.update({ blur: sheetState.blur }),
+    },
+    sheetMapScale: {
+      prop: "mapScale",
+      format: (v) => Math.round(v * 100) + "%",
+      update: () => sheetGlass.update({ mapScale: sheetState.mapScale }),
+    },
+  };
+
+  Object.entries(sheetControls).forEach(([id, config]) => {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + "Value");
+    slider.addEventListener("input", () => {
+      const value = parseFloat(slider.value);
+      sheetState[config.prop] = value;
+      valueDisplay.textContent = config.format(value);
+      config.update();
+    });
+  });
+}
+
+// ===== SCROLL DEMO =====
+const scrollConfig = {
+  bezelWidth: 20,
+  glassThickness: 80,
+  refractiveIndex: 1.5,
+};
+
+const scrollState = {
+  // "sticky" inside the scroller or "fixed" to the viewport
+  position: "sticky",
+  specularOpacity: 0.5,
+  refractionBase: 1,
+  blur: 0.5,
+};
+
+let scrollGlass = null;
+let scrollMirror = null;
+let scrollFrameId = null;
+
+// The navbar and the content behind it scroll independently: a sticky
+// navbar stays put while its scroller moves, a fixed one while the page
+// moves. The copy is placed from their measured offset after any scroll
+// or layout change, at most once per frame.
+function updateNavbarClonePosition() {
+  if (useBackdropFilter || !scrollMirror) return;
+  const glassNavbar = document.getElementById("glassNavbar");
+  const scrollContent = document.getElementById("scrollContent");
+  const { x, y } = getBackdropOffset(glassNavbar, scrollContent);
+  scrollMirror.root.style.transform = `translate(${-x}px, ${-y}px)`;
+}
+
+function scheduleNavbarUpdate() {
+  if (scrollFrameId) return;
+  scrollFrameId = requestAnimationFrame(() => {
+    scrollFrameId = null;
+    updateNavbarClonePosition();
+  });
+}
+
+function setScrollRenderMode() {
+  const glassNavbar = document.getElementById("glassNavbar");
+  glassNavbar.classList.toggle("use-backdrop-filter", useBackdropFilter);
+  updateNavbarClonePosition();
+}
+
+function initScrollDemo() {
+  const scrollDemoArea = document.getElementById("scrollDemoArea");
+  const scrollContent = document.getElementById("scrollContent");
+  const glassNavbar = document.getElementById("glassNavbar");
+  const glassNavbarClone = document.getElementById("glassNavbarClone");
+
+  // Posts to scroll behind the navbar
+  const topics = ["Refraction", "Dispersion", "Caustics", "Bezels"];
+  scrollContent.replaceChildren(
+    ...Array.from({ length: 12 }, (_, i) => {
+      const post = document.createElement("article");
+      post.className = "scroll-post";
+      const title = document.createElement("h3");
+      title.textContent = `${topics[i % topics.length]} ${i + 1}`;
+      const text = document.createElement("p");
+      text.textContent =
+        "Light bends as it crosses the glass, shifting whatever sits " +
+        "below. Scroll to move the content under the navbar.";
+      const band = document.createElement("div");
+      band.className = "scroll-post-band";
+      const hue = (i * 53) % 360;
+      band.style.background = `linear-gradient(90deg, hsl(${hue}, 80%, 55%), hsl(${hue + 60}, 80%, 45%))`;
+      post.append(title, text, band);
+      return post;
+    }),
+  );
+  scrollMirror = createContentMirror(scrollContent, glassNavbarClone);
+
+  scrollGlass = createLiquidGlass(glassNavbar, {
+    width: glassNavbar.offsetWidth,
+    height: glassNavbar.offsetHeight,
+    radius: glassNavbar.offsetHeight / 2,
+    bezelWidth: scrollConfig.bezelWidth,
+    glassThickness: scrollConfig.glassThickness,
+    refractiveIndex: scrollConfig.refractiveIndex,
+    refractionScale: scrollState.refractionBase,
+    specularOpacity: scrollState.specularOpacity,
+    blur: scrollState.blur,
+  });
+  glassNavbarClone.style.filter = scrollGlass.filterUrl;
+  setScrollRenderMode();
+
+  // The navbar follows the area's width, the copy the content's layout
+  const resizeObserver = new ResizeObserver(() => {
+    const width = glassNavbar.offsetWidth;
+    const height = glassNavbar.offsetHeight;
+    // Not laid out (e.g. hidden)
+    if (!width || !height) return;
+    scrollGlass.update({ width, height, radius: height / 2 });
+    scrollMirror.root.style.width = scrollContent.offsetWidth + "px";
+    scheduleNavbarUpdate();
+  });
+  resizeObserver.observe(glassNavbar);
+  resizeObserver.observe(scrollContent);
+  resizeObserver.observe(document.documentElement);
+  window.addEventListener("scroll", scheduleNavbarUpdate, {
+    capture: true,
+    passive: true,
+  });
+
+  // A fixed navbar only shows while the demo is on screen
+  let areaVisible = false;
+  function updateNavbarVisibility() {
+    glassNavbar.hidden = scrollState.position === "fixed" && !areaVisible;
+  }
+  new IntersectionObserver(([entry]) => {
+    areaVisible = entry.isIntersecting;
+    updateNavbarVisibility();
+  }).observe(scrollDemoArea);
+
+  document
+    .querySelectorAll("#scrollPositionSelector .surface-btn")
+    .forEach((btn) => {
+      btn.addEventListener("click", () => {
         document
-          .getElementById("switchFilterBlur")
-          .setAttribute("stdDeviation", switchState.blur),
+          .querySelectorAll("#scrollPositionSelector .surface-btn")
+          .forEach((b) => b.classList.remove("active"));
+        btn.classList.add("active");
+        scrollState.position = btn.dataset.position;
+        glassNavbar.classList.toggle("fixed", scrollState.position === "fixed");
+        updateNavbarVisibility();
+        scheduleNavbarUpdate();
+      });
+    });
+
+  // Setup controls
+  const scrollControls = {
+    scrollSpecularOpacity: {
+      prop: "specularOpacity",
+      format: (v) => v.toFixed(2),
+      update: () =>
+        scrollGlass.update({ specularOpacity: scrollState.specularOpacity }),
+    },
+    scrollRefraction: {
+      prop: "refractionBase",
+      format: (v) => v.toFixed(2),
+      update: () => scrollGlass.setScale(scrollState.refractionBase),
+    },
+    scrollBlur: {
+      prop: "blur",
+      format: (v) => v.toFixed(1),
+      update: () => scrollGlass.update({ blur: scrollState.blur }),
     },
   };
 
-  Object.entries(switchControls).forEach(([id, config]) => {
+  Object.entries(scrollControls).forEach(([id, config]) => {
     const slider = document.getElementById(id);
     const valueDisplay = document.getElementById(id + "Value");
     slider.addEventListener("input", () => {
       const value = parseFloat(slider.value);
-      switchState[config.prop] = value;
+      scrollState[config.prop] = value;
       valueDisplay.textContent = config.format(value);
       config.update();
     });
   });
+}
 
-  // Initial render
-  startSwitchAnimation();
+// ===== CUSTOM ELEMENT DEMO =====
+function initElementDemo() {
+  const elementGlass = document.getElementById("elementGlass");
+  const surfaceButtons = document.querySelectorAll(
+    "#elementSurfaceSelector .surface-btn",
+  );
+
+  surfaceButtons.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      surfaceButtons.forEach((b) => b.classList.remove("active"));
+      btn.classList.add("active");
+      elementGlass.setAttribute("surface", btn.dataset.surface);
+    });
+  });
+
+  // Slider id -> <liquid-glass> attribute
+  const elementControls = {
+    elementBezelWidth: {
+      attribute: "bezel-width",
+      format: (v) => Math.round(v),
+    },
+    elementThickness: {
+      attribute: "thickness",
+      format: (v) => Math.round(v),
+    },
+    elementIor: {
+      attribute: "ior",
+      format: (v) => v.toFixed(2),
+    },
+  };
+
+  Object.entries(elementControls).forEach(([id, config]) => {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + "Value");
+    slider.addEventListener("input", () => {
+      const value = parseFloat(slider.value);
+      valueDisplay.textContent = config.format(value);
+      elementGlass.setAttribute(config.attribute, value);
+    });
+  });
+}
+
+// ===== PRECISION DEMO =====
+// The SVG filter reads 8-bit maps, so the displacement moves by steps of
+// 1 / 255 of the filter scale, close to a pixel on thick glass, and fine
+// detail behind it turns jagged. Both views refract the same pattern on
+// the CPU, one through the 8-bit maps and one through the 16-bit maps the
+// WebGL backend decodes.
+const precisionConfig = {
+  shape: "rounded_rect",
+  width: 200,
+  height: 140,
+  radius: 70,
+  refractiveIndex: 1.5,
+};
+
+const precisionState = {
+  glassThickness: 200,
+  bezelWidth: 40,
+};
+
+let precisionPattern = null;
+let precisionFrameId = null;
+
+// Fine grid over a gradient, so uneven displacement shows as jagged lines
+function createPrecisionPattern(width, height) {
+  const pattern = createImageBuffer(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const isLine = x % 6 === 0 || y % 6 === 0;
+      pattern.data[i] = isLine ? 255 : 40 + (160 * x) / width;
+      pattern.data[i + 1] = isLine ? 255 : 60;
+      pattern.data[i + 2] = isLine ? 255 : 40 + (160 * y) / height;
+      pattern.data[i + 3] = 255;
+    }
+  }
+  return pattern;
+}
+
+function renderPrecisionDemo() {
+  const config = { ...precisionConfig, ...precisionState };
+  const { profiles, maximumDisplacement } = calculateGlassProfiles(
+    config,
+    SurfaceEquations.convex_squircle,
+  );
+  const preciseMap = calculateDisplacementMap2D(
+    config.width,
+    config.height,
+    createShape(getShapeOptions(config)),
+    config.bezelWidth,
+    maximumDisplacement || 1,
+    profiles.green,
+    16,
+  );
+  const maps = { 8: reduceDisplacementPrecision(preciseMap), 16: preciseMap };
+  precisionPattern ??= createPrecisionPattern(config.width, config.height);
+
+  Object.entries(maps).forEach(([bits, map]) => {
+    const canvas = document.getElementById(`precisionPreview${bits}`);
+    canvas.width = config.width;
+    canvas.height = config.height;
+    const refracted = displaceImage(precisionPattern, map, maximumDisplacement);
+    canvas.getContext("2d").putImageData(toImageData(refracted), 0, 0);
+  });
+
+  document.getElementById("precisionInfo").textContent =
+    `Filter scale ${maximumDisplacement.toFixed(1)} px: ` +
+    `steps of ${(maximumDisplacement / 255).toFixed(2)} px with 8 bits, ` +
+    `${(maximumDisplacement / 65535).toFixed(4)} px with 16 bits`;
+}
+
+function schedulePrecisionRender() {
+  if (precisionFrameId) return;
+  precisionFrameId = requestAnimationFrame(() => {
+    precisionFrameId = null;
+    renderPrecisionDemo();
+  });
+}
+
+function initPrecisionDemo() {
+  // Setup controls
+  const precisionControls = {
+    precisionThickness: {
+      prop: "glassThickness",
+      format: (v) => Math.round(v),
+    },
+    precisionBezelWidth: {
+      prop: "bezelWidth",
+      format: (v) => Math.round(v),
+    },
+  };
+
+  Object.entries(precisionControls).forEach(([id, config]) => {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(id + "Value");
+    slider.addEventListener("input", () => {
+      const value = parseFloat(slider.value);
+      precisionState[config.prop] = value;
+      valueDisplay.textContent = config.format(value);
+      schedulePrecisionRender();
+    });
+  });
+
+  renderPrecisionDemo();
 }
 
 // Run on DOM ready
@@ -1434,9 +3969,25 @@ if (document.readyState === "loading") {
     init();
     initSliderDemo();
     initSwitchDemo();
+    initButtonDemo();
+    initSegmentedDemo();
+    initSheetDemo();
+    initScrollDemo();
+    initElementDemo();
+    initPrecisionDemo();
+    initPresets();
+    applyPresetFromHash();
   });
 } else {
   init();
   initSliderDemo();
   initSwitchDemo();
+  initButtonDemo();
+  initSegmentedDemo();
+  initSheetDemo();
+  initScrollDemo();
+  initElementDemo();
+  initPrecisionDemo();
+  initPresets();
+  applyPresetFromHash();
 }
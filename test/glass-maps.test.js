@@ -0,0 +1,173 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SurfaceEquations, calculateDisplacementMap2D } from "../glass-math.js";
+import {
+  calculateGlassProfiles,
+  getMapBezelWidth,
+  getMapShapeOptions,
+  getMapsKey,
+  getShapeOptions,
+  getSpecularOptions,
+  renderGlassMaps,
+} from "../glass-maps.js";
+import { createShape } from "../glass-shapes.js";
+
+const config = {
+  shape: "rounded_rect",
+  width: 120,
+  height: 80,
+  radius: 30,
+  superellipseExponent: 4,
+  path: "",
+  bezelWidth: 20,
+  glassThickness: 100,
+  refractiveIndex: 1.5,
+  specularAngle: Math.PI / 3,
+  dispersion: false,
+  abbeNumber: 40,
+  dispersionStrength: 4,
+  lights: null,
+  specularModel: "rim",
+  shininess: 40,
+};
+
+test("dispersive profiles share one maximum displacement", () => {
+  const { profiles, maximumDisplacement } = calculateGlassProfiles(
+    { ...config, dispersion: true },
+    SurfaceEquations.convex_squircle,
+  );
+  assert.deepEqual(Object.keys(profiles), ["red", "green", "blue"]);
+  const channelMaxima = Object.values(profiles).map((profile) =>
+    Math.max(...profile.map(Math.abs)),
+  );
+  assert.equal(maximumDisplacement, Math.max(...channelMaxima));
+  // Blue bends more wherever neither channel is lost to total internal
+  // reflection (where blue, with the higher index, is lost first)
+  const { red, blue } = profiles;
+  const transmitted = red
+    .map((_, i) => i)
+    .filter((i) => red[i] !== 0 && blue[i] !== 0);
+  assert.ok(transmitted.length > 0);
+  transmitted.forEach((i) =>
+    assert.ok(Math.abs(blue[i]) > Math.abs(red[i]), `at sample ${i}`),
+  );
+});
+
+test("requests survive structured cloning and render the same maps", () => {
+  const { profiles, maximumDisplacement } = calculateGlassProfiles(
+    config,
+    SurfaceEquations.lip,
+  );
+  const request = structuredClone({
+    shape: getShapeOptions(config),
+    bezelWidth: config.bezelWidth,
+    specular: getSpecularOptions(config, SurfaceEquations.lip),
+    profiles,
+    maximumDisplacement,
+  });
+  const { displacementMaps, specular } = renderGlassMaps(request);
+
+  const expected = calculateDisplacementMap2D(
+    config.width,
+    config.height,
+    createShape(getShapeOptions(config)),
+    config.bezelWidth,
+    maximumDisplacement,
+    profiles.green,
+  );
+  assert.deepEqual(displacementMaps.green.data, expected.data);
+  assert.equal(specular.width, config.width);
+  assert.equal(specular.height, config.height);
+});
+
+test("16-bit requests also render the 8-bit maps", () => {
+  const { profiles, maximumDisplacement } = calculateGlassProfiles(
+    config,
+    SurfaceEquations.convex_squircle,
+  );
+  const request = {
+    shape: getShapeOptions(config),
+    bezelWidth: config.bezelWidth,
+    specular: getSpecularOptions(config, SurfaceEquations.convex_squircle),
+    profiles,
+    maximumDisplacement,
+  };
+  const maps = renderGlassMaps(request);
+  const preciseMaps = renderGlassMaps({ ...request, precision: 16 });
+
+  assert.equal(maps.preciseDisplacementMaps, null);
+  assert.equal(preciseMaps.preciseDisplacementMaps.green.precision, 16);
+  preciseMaps.displacementMaps.green.data.forEach((value, i) =>
+    assert.ok(Math.abs(value - maps.displacementMaps.green.data[i]) <= 1),
+  );
+  assert.notEqual(
+    getMapsKey({ ...config, displacementPrecision: 16 }, 1),
+    getMapsKey(config, 1),
+  );
+});
+
+test("map keys only change with map-affecting options", () => {
+  const key = getMapsKey(config, 1);
+  assert.equal(getMapsKey({ ...config, blur: 3 }, 1), key);
+  assert.equal(getMapsKey({ ...config, abbeNumber: 20 }, 1), key);
+  assert.notEqual(getMapsKey(config, 2), key);
+  assert.notEqual(getMapsKey({ ...config, width: 121 }, 1), key);
+  assert.notEqual(getMapsKey({ ...config, refractiveIndex: 1.6 }, 1), key);
+  assert.notEqual(getMapsKey({ ...config, dispersion: true }, 1), key);
+});
+
+test("scaled maps of larger glass don't share keys with full-size maps", () => {
+  const small = {
+    ...config,
+    width: 200,
+    height: 140,
+    radius: 70,
+    bezelWidth: 30,
+  };
+  const large = {
+    ...small,
+    width: 400,
+    height: 280,
+    radius: 140,
+    bezelWidth: 60,
+    mapScale: 0.5,
+  };
+  const maximumOf = (options) =>
+    calculateGlassProfiles(options, SurfaceEquations.convex_squircle)
+      .maximumDisplacement;
+
+  assert.deepEqual(getMapShapeOptions(large), getMapShapeOptions(small));
+  assert.notEqual(maximumOf(large), maximumOf(small));
+  assert.notEqual(getMapsKey(large, 1), getMapsKey(small, 1));
+});
+
+test("scaled maps keep the displacement of the full-size maps", () => {
+  const scaled = { ...config, mapScale: 0.5 };
+  const { profiles, maximumDisplacement } = calculateGlassProfiles(
+    scaled,
+    SurfaceEquations.convex_squircle,
+  );
+  const render = (options) =>
+    renderGlassMaps({
+      shape: getMapShapeOptions(options),
+      bezelWidth: getMapBezelWidth(options),
+      specular: getSpecularOptions(options, SurfaceEquations.convex_squircle),
+      profiles,
+      maximumDisplacement,
+    });
+  const full = render(config).displacementMaps.green;
+  const half = render(scaled).displacementMaps.green;
+
+  assert.equal(half.width, 60);
+  assert.equal(half.height, 40);
+  assert.notEqual(getMapsKey(scaled, 1), getMapsKey(config, 1));
+  // Each scaled pixel covers two full-size ones along the middle row
+  for (let x = 1; x < 6; x++) {
+    const fullMean =
+      (full.data[(40 * full.width + 2 * x) * 4] +
+        full.data[(40 * full.width + 2 * x + 1) * 4]) /
+      2;
+    const halfValue = half.data[(20 * half.width + x) * 4];
+    assert.ok(Math.abs(fullMean - halfValue) <= 4);
+  }
+});
@@ -0,0 +1,391 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MaterialPresets,
+  SurfaceEquations,
+  Spring,
+  calculateDispersiveIndices,
+  calculateDisplacementAt,
+  calculateDisplacementMap1D,
+  calculateDisplacementMap2D,
+  calculateNormalMap,
+  calculateSpecularHighlight,
+  calculateSurfaceSlopes,
+  createBezierSurface,
+  createExpressionSurface,
+  displaceImage,
+  findTotalInternalReflection,
+  readDisplacement,
+  reduceDisplacementPrecision,
+  shadeNormalMap,
+} from "../glass-math.js";
+import { createShape } from "../glass-shapes.js";
+
+function buildDisplacementMap(
+  width,
+  height,
+  radius,
+  bezelWidth,
+  precision = 8,
+) {
+  const precomputed = calculateDisplacementMap1D(
+    150,
+    bezelWidth,
+    SurfaceEquations.convex_squircle,
+    1.5,
+  );
+  const maximumDisplacement = Math.max(...precomputed.map(Math.abs));
+  return calculateDisplacementMap2D(
+    width,
+    height,
+    createShape({ type: "rounded_rect", width, height, radius }),
+    bezelWidth,
+    maximumDisplacement,
+    precomputed,
+    precision,
+  );
+}
+
+test("displacement is zero at bezel ratio 1", () => {
+  // Profiles that flatten out where the bezel meets the flat top
+  for (const name of ["convex_circle", "convex_squircle", "lip"]) {
+    const displacement = calculateDisplacementAt(
+      1,
+      150,
+      30,
+      SurfaceEquations[name],
+      1.5,
+    );
+    assert.ok(
+      Math.abs(displacement) < 0.01,
+      `${name} displaces ${displacement}px at the inner edge`,
+    );
+  }
+});
+
+test("flat interior of the 2D map is neutral", () => {
+  const map = buildDisplacementMap(200, 140, 70, 30);
+  const idx = (70 * 200 + 100) * 4;
+  assert.deepEqual([...map.data.slice(idx, idx + 4)], [128, 128, 0, 255]);
+});
+
+test("16-bit maps decode like 8-bit ones, with finer steps", () => {
+  const map = buildDisplacementMap(200, 140, 70, 30);
+  const precise = buildDisplacementMap(200, 140, 70, 30, 16);
+  const rowValues = [new Set(), new Set()];
+  for (let i = 0; i < 200 * 140; i++) {
+    const [x, y] = readDisplacement(map, i);
+    const [preciseX, preciseY] = readDisplacement(precise, i);
+    assert.ok(Math.abs(preciseX - x) <= 0.5 / 255 + 1e-4);
+    assert.ok(Math.abs(preciseY - y) <= 0.5 / 255 + 1e-4);
+    if (Math.floor(i / 200) === 70) {
+      rowValues[0].add(x);
+      rowValues[1].add(preciseX);
+    }
+  }
+  // No displacement is the same 128 / 255 in both
+  assert.deepEqual(readDisplacement(precise, 70 * 200 + 100), [
+    128 / 255,
+    128 / 255,
+  ]);
+  assert.ok(rowValues[1].size > rowValues[0].size);
+
+  const reduced = reduceDisplacementPrecision(precise);
+  reduced.data.forEach((value, i) =>
+    assert.ok(Math.abs(value - map.data[i]) <= 1),
+  );
+});
+
+test("displaced images sample the source at the decoded offset", () => {
+  const source = {
+    width: 4,
+    height: 3,
+    data: new Uint8ClampedArray(48).map((_, i) => i),
+  };
+  // 128 / 255 at scale 510 is one pixel right and down
+  const map = {
+    width: 4,
+    height: 3,
+    data: new Uint8ClampedArray(48).fill(128),
+  };
+  const result = displaceImage(source, map, 510);
+  const pixel = ({ data }, x, y) => [
+    ...data.slice((y * 4 + x) * 4, (y * 4 + x) * 4 + 4),
+  ];
+  for (let y = 0; y < 3; y++) {
+    for (let x = 0; x < 4; x++) {
+      // Pixels displaced past the last column or row are transparent
+      const expected =
+        x < 3 && y < 2 ? pixel(source, x + 1, y + 1) : [0, 0, 0, 0];
+      assert.deepEqual(pixel(result, x, y), expected);
+    }
+  }
+});
+
+test("opposite corners of the displacement map are symmetric", () => {
+  const width = 120;
+  const height = 80;
+  const map = buildDisplacementMap(width, height, 40, 20);
+
+  for (let y = 0; y < 40; y++) {
+    for (let x = 0; x < 40; x++) {
+      const idx = (y * width + x) * 4;
+      const mirrored = ((height - 1 - y) * width + (width - 1 - x)) * 4;
+      assert.ok(Math.abs(map.data[idx] + map.data[mirrored] - 256) <= 1);
+      assert.ok(
+        Math.abs(map.data[idx + 1] + map.data[mirrored + 1] - 256) <= 1,
+      );
+    }
+  }
+});
+
+test("maps are plain buffers", () => {
+  const map = calculateSpecularHighlight(
+    createShape({ type: "rounded_rect", width: 90, height: 60, radius: 30 }),
+    16,
+  );
+  assert.equal(map.width, 90);
+  assert.equal(map.height, 60);
+  assert.ok(map.data instanceof Uint8ClampedArray);
+  assert.equal(map.data.length, 90 * 60 * 4);
+});
+
+test("Spring converges to its target", () => {
+  const spring = new Spring(0, 300, 20);
+  spring.setTarget(1);
+  for (let i = 0; i < 600 && !spring.isSettled(); i++) {
+    spring.update(1 / 60);
+  }
+  assert.ok(spring.isSettled());
+  assert.ok(Math.abs(spring.value - 1) < 0.001);
+});
+
+test("no total internal reflection below the critical index", () => {
+  // Vertical bezel edges bend light past the critical angle once n > √2
+  const ranges = findTotalInternalReflection(
+    SurfaceEquations.convex_circle,
+    MaterialPresets.water.refractiveIndex,
+  );
+  assert.deepEqual(ranges, []);
+});
+
+test("total internal reflection grows with the refractive index", () => {
+  const coverage = (refractiveIndex) =>
+    findTotalInternalReflection(
+      SurfaceEquations.convex_squircle,
+      refractiveIndex,
+    ).reduce((sum, { start, end }) => sum + end - start, 0);
+
+  assert.ok(coverage(MaterialPresets.flint_glass.refractiveIndex) > 0);
+  assert.ok(
+    coverage(MaterialPresets.diamond.refractiveIndex) >
+      coverage(MaterialPresets.flint_glass.refractiveIndex),
+  );
+});
+
+test("displacement maps leave out the total internal reflection zones", () => {
+  const refractiveIndex = MaterialPresets.diamond.refractiveIndex;
+  const ranges = findTotalInternalReflection(
+    SurfaceEquations.convex_squircle,
+    refractiveIndex,
+  );
+  const profile = calculateDisplacementMap1D(
+    150,
+    30,
+    SurfaceEquations.convex_squircle,
+    refractiveIndex,
+  );
+  assert.ok(ranges.length > 0);
+  profile.forEach((displacement, i) => {
+    const bezelRatio = i / profile.length;
+    const isReflected = ranges.some(
+      ({ start, end }) => bezelRatio >= start && bezelRatio < end,
+    );
+    const isLost =
+      calculateDisplacementAt(
+        bezelRatio,
+        150,
+        30,
+        SurfaceEquations.convex_squircle,
+        refractiveIndex,
+      ) === null;
+    assert.equal(isLost, isReflected, `at bezel ratio ${bezelRatio}`);
+    if (isReflected) assert.equal(displacement, 0);
+  });
+});
+
+test("dispersive indices follow the Abbe number", () => {
+  const { refractiveIndex, abbeNumber } = MaterialPresets.flint_glass;
+  const indices = calculateDispersiveIndices(refractiveIndex, abbeNumber);
+
+  assert.equal(indices.green, refractiveIndex);
+  assert.ok(indices.blue > indices.green && indices.green > indices.red);
+  assert.ok(
+    Math.abs(indices.blue - indices.red - (refractiveIndex - 1) / abbeNumber) <
+      1e-9,
+  );
+});
+
+test("Bézier surfaces run from the outer to the inner edge", () => {
+  const linear = createBezierSurface([0.25, 0.25, 0.75, 0.75]);
+  for (const x of [0, 0.2, 0.5, 0.9, 1]) {
+    assert.ok(Math.abs(linear(x) - x) < 1e-6);
+  }
+  const convex = createBezierSurface([0.05, 0.8, 0.35, 1]);
+  assert.ok(Math.abs(convex(0)) < 1e-6);
+  assert.ok(Math.abs(convex(1) - 1) < 1e-6);
+  assert.ok(convex(0.5) > 0.5);
+});
+
+test("expression surfaces can use Math without a prefix", () => {
+  const surfaceFn = createExpressionSurface("sqrt(1 - pow(1 - x, 2))");
+  for (const x of [0, 0.3, 0.7, 1]) {
+    assert.equal(surfaceFn(x), SurfaceEquations.convex_circle(x));
+  }
+  assert.throws(() => createExpressionSurface("x +"));
+  assert.throws(() => createExpressionSurface("y * 2"));
+  assert.throws(() => createExpressionSurface("1 / x"));
+});
+
+test("expressions are parsed as maths, never run as JavaScript", () => {
+  assert.equal(createExpressionSurface("x ^ 2")(0.5), 0.25);
+  assert.equal(createExpressionSurface("x ** 2 / 2")(0.5), 0.125);
+  // Powers bind tighter than a leading minus and group right to left
+  assert.equal(createExpressionSurface("1 - -x ^ 2")(0.5), 1.25);
+  assert.equal(createExpressionSurface("x + 2 ^ 3 ^ 2")(0), 512);
+  assert.equal(createExpressionSurface("max(x, PI / 10)")(0), Math.PI / 10);
+
+  for (const expression of [
+    "(globalThis.pwned = 'ran', x)",
+    "constructor",
+    "x.constructor",
+    "alert(x)",
+    "x; 1",
+    "`${x}`",
+    "PI(x)",
+    "sqrt",
+  ]) {
+    assert.throws(() => createExpressionSurface(expression), /Invalid/);
+  }
+  assert.equal(globalThis.pwned, undefined);
+});
+
+test("mirrored quadrants match a full computation", () => {
+  for (const [type, width, height] of [
+    ["rounded_rect", 121, 80],
+    ["superellipse", 90, 61],
+  ]) {
+    const shape = createShape({ type, width, height, radius: 30 });
+    const unmirrored = { ...shape, symmetric: false };
+    const precomputed = calculateDisplacementMap1D(
+      120,
+      20,
+      SurfaceEquations.convex_squircle,
+      1.5,
+    );
+    const maximum = Math.max(...precomputed.map(Math.abs));
+    const pairs = [
+      [
+        calculateDisplacementMap2D(
+          width,
+          height,
+          shape,
+          20,
+          maximum,
+          precomputed,
+        ),
+        calculateDisplacementMap2D(
+          width,
+          height,
+          unmirrored,
+          20,
+          maximum,
+          precomputed,
+        ),
+      ],
+      [
+        calculateSpecularHighlight(shape, 20, 1),
+        calculateSpecularHighlight(unmirrored, 20, 1),
+      ],
+    ];
+    for (const [mirrored, full] of pairs) {
+      full.data.forEach((value, i) =>
+        assert.ok(Math.abs(value - mirrored.data[i]) <= 1, `${type} @${i}`),
+      );
+    }
+  }
+});
+
+test("specular lights can be coloured and combined", () => {
+  const shape = createShape({
+    type: "rounded_rect",
+    width: 90,
+    height: 60,
+    radius: 30,
+  });
+  assert.deepEqual(
+    calculateSpecularHighlight(shape, 16, 1).data,
+    calculateSpecularHighlight(shape, 16, [{ angle: 1, color: "#ffffff" }])
+      .data,
+  );
+
+  const red = calculateSpecularHighlight(shape, 16, [
+    { angle: 1, color: "#ff0000" },
+  ]);
+  for (let i = 0; i < red.data.length; i += 4) {
+    assert.equal(red.data[i + 1], 0);
+    assert.equal(red.data[i + 2], 0);
+  }
+  assert.ok(red.data.some((value, i) => i % 4 === 0 && value > 200));
+});
+
+test("Blinn-Phong highlights follow the bezel towards the light", () => {
+  const shape = createShape({
+    type: "rounded_rect",
+    width: 120,
+    height: 80,
+    radius: 40,
+  });
+  const surfaceSlopes = calculateSurfaceSlopes(SurfaceEquations.convex_circle);
+  assert.ok(surfaceSlopes[0] > surfaceSlopes[64]);
+  assert.ok(Math.abs(surfaceSlopes.at(-1)) < 0.3);
+
+  // Light from the right
+  const map = calculateSpecularHighlight(shape, 20, [{ angle: 0 }], {
+    model: "blinn_phong",
+    surfaceSlopes,
+  });
+  const brightness = (x, y) => map.data[(y * 120 + x) * 4 + 3];
+  const right = Math.max(
+    ...[...Array(20)].map((_, i) => brightness(119 - i, 40)),
+  );
+  const left = Math.max(...[...Array(20)].map((_, i) => brightness(i, 40)));
+  assert.ok(right > 100, `right rim is ${right}`);
+  assert.ok(left < right / 4, `left rim is ${left}`);
+  // Lit across the bezel, not just the outer 1.5px
+  assert.ok(map.data[(40 * 120 + 110) * 4 + 3] > 0);
+});
+
+test("normal maps can be re-shaded for any light angle", () => {
+  const shape = createShape({ type: "pill", width: 100, height: 50 });
+  const options = {
+    model: "blinn_phong",
+    surfaceSlopes: calculateSurfaceSlopes(SurfaceEquations.lip),
+  };
+  const normalMap = calculateNormalMap(shape, 16, options);
+  const full = calculateNormalMap({ ...shape, symmetric: false }, 16, options);
+  assert.equal(normalMap.indices.length, full.indices.length);
+
+  for (const angle of [0, 1, 2.5, -2]) {
+    const shaded = shadeNormalMap(normalMap, angle, options);
+    const expected = calculateSpecularHighlight(
+      { ...shape, symmetric: false },
+      16,
+      angle,
+      options,
+    );
+    shaded.data.forEach((value, i) =>
+      assert.ok(Math.abs(value - expected.data[i]) <= 1),
+    );
+  }
+});
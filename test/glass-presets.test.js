@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BuiltInPresets,
+  PRESET_VERSION,
+  createPreset,
+  decodePreset,
+  encodePreset,
+  parsePreset,
+} from "../glass-presets.js";
+
+test("createPreset keeps only preset parameters and copies them", () => {
+  const lights = [{ angle: 1, color: "#ffffff" }];
+  const preset = createPreset("Mine", {
+    main: { bezelWidth: 30, lights, isDragging: true },
+    slider: { blur: 2, pointerDown: true },
+  });
+
+  assert.deepEqual(preset, {
+    version: PRESET_VERSION,
+    name: "Mine",
+    main: { bezelWidth: 30, lights: [{ angle: 1, color: "#ffffff" }] },
+    slider: { blur: 2 },
+  });
+  assert.notEqual(preset.main.lights, lights);
+});
+
+test("built-in presets are valid", () => {
+  Object.values(BuiltInPresets).forEach((preset) => {
+    assert.deepEqual(parsePreset(preset), preset);
+  });
+});
+
+test("parsePreset validates versions and values", () => {
+  assert.throws(() => parsePreset({ version: PRESET_VERSION + 1 }), /version/);
+  assert.throws(
+    () => parsePreset({ version: PRESET_VERSION, main: { bezelWidth: "30" } }),
+    /main\.bezelWidth/,
+  );
+  assert.throws(
+    () => parsePreset({ version: PRESET_VERSION, main: { shape: "hexagon" } }),
+    /main\.shape/,
+  );
+  assert.throws(
+    () =>
+      parsePreset({
+        version: PRESET_VERSION,
+        main: { lights: [{ angle: 0, color: "red" }] },
+      }),
+    /main\.lights/,
+  );
+
+  const preset = parsePreset(
+    JSON.stringify({
+      version: PRESET_VERSION,
+      main: { blur: 1, unknown: true },
+      extra: {},
+    }),
+  );
+  assert.deepEqual(preset, {
+    version: PRESET_VERSION,
+    name: "Untitled",
+    main: { blur: 1 },
+  });
+});
+
+test("parsePreset rejects values outside the control ranges", () => {
+  const outOfRange = {
+    main: {
+      objectWidth: 1e6,
+      objectHeight: 1e6,
+      radius: -5,
+      bezelWidth: -10,
+      glassThickness: -1,
+      refractiveIndex: 0,
+      blur: 1e9,
+      lights: [{ angle: 0, color: "#ffffff", intensity: -1e9 }],
+    },
+    slider: { specularOpacity: 2 },
+    sheet: { mapScale: 0 },
+  };
+  Object.entries(outOfRange).forEach(([section, values]) => {
+    Object.entries(values).forEach(([key, value]) => {
+      assert.throws(
+        () =>
+          parsePreset({ version: PRESET_VERSION, [section]: { [key]: value } }),
+        new RegExp(`${section}\\.${key}`),
+      );
+    });
+  });
+  assert.throws(
+    () => parsePreset({ version: PRESET_VERSION, main: outOfRange.main }),
+    /Invalid preset value/,
+  );
+  assert.doesNotThrow(() =>
+    parsePreset({
+      version: PRESET_VERSION,
+      main: { refractiveIndex: 2.5, bezelWidth: 5, blur: 0 },
+    }),
+  );
+});
+
+test("presets round-trip through the URL encoding", () => {
+  const preset = {
+    ...BuiltInPresets.heavy_lip,
+    name: "Lèvre épaisse",
+    main: {
+      ...BuiltInPresets.heavy_lip.main,
+      customProfile: {
+        mode: "expression",
+        points: [0.05, 0.8, 0.35, 1],
+        expression: "sqrt(1 - (1 - x) ** 2)",
+      },
+    },
+  };
+  const encoded = encodePreset(preset);
+
+  assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodePreset(encoded), preset);
+});
+
+test("presets only accept expressions the surface parser accepts", () => {
+  const withExpression = (expression) => ({
+    version: PRESET_VERSION,
+    main: {
+      customProfile: {
+        mode: "expression",
+        points: [0.05, 0.8, 0.35, 1],
+        expression,
+      },
+    },
+  });
+  assert.doesNotThrow(() => parsePreset(withExpression("sqrt(x) ^ 2")));
+  const script = "(globalThis.pwned = 'ran from URL', x)";
+  assert.throws(() => parsePreset(withExpression(script)), /Invalid preset/);
+  assert.throws(
+    () => decodePreset(encodePreset(withExpression(script))),
+    /Invalid preset/,
+  );
+  assert.equal(globalThis.pwned, undefined);
+});
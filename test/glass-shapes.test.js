@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ShapeTypes, createShape, parsePathData } from "../glass-shapes.js";
+
+const STAR =
+  "M100 0 L129 60 L195 69 L147 115 L159 181 L100 150 L41 181 L53 115 L5 69 L71 60 Z";
+
+test("every shape is negative inside and positive outside", () => {
+  for (const type of ShapeTypes) {
+    const shape = createShape({
+      type,
+      width: 200,
+      height: 140,
+      radius: 40,
+      path: STAR,
+    });
+    assert.ok(shape.sdf(100, 75) < 0, `${type} centre is outside`);
+    assert.ok(shape.sdf(1, 1) > 0, `${type} corner is inside`);
+    assert.ok(shape.pathData.startsWith("M"), `${type} has no path data`);
+  }
+});
+
+test("rounded rect distances are exact", () => {
+  const shape = createShape({
+    type: "rounded_rect",
+    width: 200,
+    height: 140,
+    radius: 40,
+  });
+  assert.equal(shape.sdf(100, 10), -10);
+  assert.deepEqual(shape.normal(100, 10), [0, -1]);
+  // Corner arc centred at (40, 40)
+  const offset = 30 * Math.SQRT1_2;
+  assert.ok(Math.abs(shape.sdf(40 - offset, 40 - offset) - -10) < 1e-9);
+});
+
+test("ellipse is symmetric and normals point outward", () => {
+  const shape = createShape({ type: "ellipse", width: 160, height: 80 });
+  assert.ok(Math.abs(shape.sdf(20, 30) - shape.sdf(140, 50)) < 1e-9);
+  assert.ok(Math.abs(shape.sdf(0.5, 40) - -0.5) < 1e-6);
+  assert.deepEqual(shape.normal(159, 40), [1, 0]);
+  const [nx, ny] = shape.normal(30, 15);
+  assert.ok(nx < 0 && ny < 0);
+  assert.ok(Math.abs(Math.hypot(nx, ny) - 1) < 1e-9);
+});
+
+test("path data is parsed into flattened subpaths", () => {
+  assert.deepEqual(parsePathData("M0 0 h10 v10 H0 z"), [
+    [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+      [0, 10],
+    ],
+  ]);
+  const [curve] = parsePathData("M0 0 Q50 100 100 0");
+  assert.deepEqual(curve.at(-1), [100, 0]);
+  assert.ok(curve.length > 2);
+  assert.throws(() => parsePathData("M0 0 L10"));
+  assert.throws(() =>
+    createShape({ type: "path", width: 100, height: 100, path: "" }),
+  );
+});
+
+test("path shapes are stretched to fill their box", () => {
+  const shape = createShape({
+    type: "path",
+    width: 100,
+    height: 50,
+    path: "M10 10 L30 10 L30 30 L10 30 Z",
+  });
+  assert.ok(Math.abs(shape.sdf(50, 25) - -25) < 1e-9);
+  const [nx, ny] = shape.normal(99, 25);
+  assert.equal(nx, 1);
+  assert.ok(Math.abs(ny) < 1e-9);
+});
+
+test("deformed shapes measure distances after the stretch", () => {
+  const options = { type: "rounded_rect", width: 200, height: 100, radius: 20 };
+  const base = createShape(options);
+  const stretched = createShape({
+    ...options,
+    deformation: { angle: 0, along: 1.2, across: 0.9 },
+  });
+  assert.equal(stretched.symmetric, true);
+  // 10px in from the left edge is 12px once stretched, 10px from the top 9px
+  assert.ok(Math.abs(stretched.sdf(10, 50) - -12) < 1e-9);
+  assert.ok(Math.abs(stretched.sdf(100, 10) - -9) < 1e-9);
+  assert.deepEqual(stretched.toLocal(12, 9), [10, 10]);
+  assert.equal(stretched.pathData, base.pathData);
+
+  const diagonal = createShape({
+    ...options,
+    deformation: { angle: Math.PI / 4, along: 1.2, across: 0.9 },
+  });
+  assert.equal(diagonal.symmetric, false);
+  const [nx, ny] = diagonal.normal(199, 50);
+  assert.ok(Math.abs(Math.hypot(nx, ny) - 1) < 1e-9);
+  // Stretching along the diagonal tilts the right edge's normal towards -y
+  assert.ok(nx > 0 && ny < 0);
+});